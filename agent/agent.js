@@ -1,25 +1,31 @@
-import { ChatOpenAI } from "@langchain/openai";
-import { HumanMessage, SystemMessage, AIMessage } from "@langchain/core/messages";
+import { HumanMessage, SystemMessage, AIMessage, ToolMessage } from "@langchain/core/messages";
+import { concat } from "@langchain/core/utils/stream";
+import { EventEmitter } from "events";
 import fs from "fs/promises";
 import fssync from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { createRequire } from "module";
 
 // ESM helpers
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const require = createRequire(import.meta.url);
 
-// Import ESM tools directly
-import { read_file, write_file, read_many_files, search_file_content, replace, fileExists } from "../tools/read_write_search_file.js";
+import { read_file, write_file, read_many_files, search_file_content, expandSearchTargets, replace, replace_all, parse_patch, apply_patch, fileExists } from "../tools/read_write_search_file.js";
 import { listDirectory } from "../tools/list_directory.js";
 import { glob, globWithStats } from "../tools/glob_files.js";
 import { runShellCommand as systemRun } from "../tools/run_shell_command.js";
+import { extractPageData } from "../tools/page-extractor.js";
+import { takeResponsiveScreenshots } from "../tools/responsive-screenshots.js";
 
-// Import CJS tools via createRequire to avoid ESM/CJS interop issues
-const { extractPageData } = require("../tools/page-extractor.js");
-const { takeResponsiveScreenshots } = require("../tools/responsive-screenshots.js");
+import { buildToolSpecs, paramDefault, toFunctionName, toolDefinitions, toolTargetPaths, validateToolParams } from "./tool_definitions.js";
+import { resolveSessionsDir, createSessionId, saveSession, loadSession } from "./session_store.js";
+import { ContextManager, DEFAULT_MAX_RESULT_CHARS } from "./context_manager.js";
+import { createChatModel, resolveProvider, resolveModelName } from "./providers.js";
+import { AGENT_EVENTS, attachReporter } from "./reporters.js";
+import { Workspace } from "./workspace.js";
+import { CheckpointJournal } from "./checkpoints.js";
+import { createDebugLogger } from "./debug_log.js";
+import { addUsage, checkBudget, computeCost, createUsageTotals, estimateImageTokens, findPrice, loadPriceTable } from "./usage.js";
 
 // Utility: map file extension to MIME type for data URLs
 const mimeFromExtension = (filePath) => {
@@ -34,6 +40,19 @@ const mimeFromExtension = (filePath) => {
   }
 };
 
+// Image types the chat models accept as image parts, and the largest image sent (~5 MB as base64)
+const IMAGE_PART_TYPES = new Set(["image/png", "image/jpeg", "image/webp", "image/gif"]);
+const MAX_IMAGE_BYTES = 3750000;
+
+// A complete image read by files.read with encoding "base64"
+const isImageRead = (tool, result) =>
+  tool === "files.read" && result && result.encoding === "base64" && !result.truncated && IMAGE_PART_TYPES.has(result.mimeType);
+
+const imageReadPart = (result) => ({ type: "image_url", image_url: { url: `data:${result.mimeType};base64,${result.content}` } });
+
+// The files.read result without the base64 content, which travels as the image part
+const imageReadSummary = (result) => ({ ...result, content: "(attached as an image)" });
+
 const fileToDataUrl = async (filePath) => {
   const buffer = await fs.readFile(filePath);
   const mime = mimeFromExtension(filePath);
@@ -42,59 +61,106 @@ const fileToDataUrl = async (filePath) => {
 };
 
 // Tool registry mapping per ai_agent_system_prompt.md
-const buildToolRegistry = () => ({
-  "page.extract": async (params = {}) => {
+// Tools receive (params, { signal }); long-running ones stop when the run's AbortSignal fires.
+// Every path argument goes through the workspace, which resolves it against the workspace root
+// and rejects anything outside it (see workspace.js). Tools that report progress log to `logger`.
+// readMaxBytes is the default files.read cap.
+const buildToolRegistry = (workspace, logger, { readMaxBytes }) => ({
+  "page.extract": async (params = {}, { signal } = {}) => {
     const { url, outputDir, options } = params;
     if (!url) throw new Error("page.extract requires 'url'");
-    return await extractPageData(url, outputDir, options);
+    // The schema default resolves inside the workspace, where the permission check and checkpoint look
+    const dir = await workspace.resolve(outputDir === undefined ? paramDefault("page.extract", "outputDir") : outputDir, { write: true });
+    return await extractPageData(url, dir, { ...options, signal, logger });
   },
-  "shots.capture": async (params = {}) => {
+  "shots.capture": async (params = {}, { signal } = {}) => {
     const { url, outputDir, options } = params;
     if (!url) throw new Error("shots.capture requires 'url'");
-    return await takeResponsiveScreenshots(url, outputDir, options);
+    const dir = await workspace.resolve(outputDir === undefined ? paramDefault("shots.capture", "outputDir") : outputDir, { write: true });
+    return await takeResponsiveScreenshots(url, dir, { ...options, signal, logger });
   },
   "files.read": async (params = {}) => {
-    const { filePath, encoding } = params;
-    return await read_file(filePath, encoding);
+    const { filePath, encoding, options = {} } = params;
+    // Capped by default so one large file cannot fill the context; images read as base64 are
+    // attached as image parts instead, so they get the larger image cap
+    const maxBytes = encoding === "base64" ? MAX_IMAGE_BYTES : readMaxBytes;
+    return await read_file(await workspace.resolve(filePath), encoding, { maxBytes, ...options });
   },
   "files.readMany": async (params = {}) => {
     const { filePaths, options } = params;
-    return await read_many_files(filePaths, options);
+    return await read_many_files(await workspace.resolveAll(filePaths), { ...options, logger });
   },
   "files.write": async (params = {}) => {
     const { filePath, content, options } = params;
-    return await write_file(filePath, content, options);
+    return await write_file(await workspace.resolve(filePath, { write: true }), content, { ...options, logger });
   },
   "files.search": async (params = {}) => {
     const { filePaths, pattern, options } = params;
-    return await search_file_content(filePaths, pattern, options);
+    // Glob patterns are matched from the workspace root; matches reached through a symlinked
+    // directory that leads outside it are skipped
+    const targets = await workspace.resolveTargets(filePaths);
+    return await search_file_content(targets, pattern, { ...options, cwd: workspace.root, allowPath: target => workspace.allows(target) });
   },
   "files.replace": async (params = {}) => {
     const { filePath, searchValue, replaceValue, options } = params;
-    return await replace(filePath, searchValue, replaceValue, options);
+    return await replace(await workspace.resolve(filePath, { write: true }), searchValue, replaceValue, { ...options, logger });
+  },
+  "files.replaceAll": async (params = {}, { prepared = {} } = {}) => {
+    const { targets, searchValue, replaceValue, options = {} } = params;
+    // executeTool's dry run already confined and expanded the targets; expand here only when it
+    // did not run. Set last, so options can never supply a file list of their own.
+    const expanded = prepared.expanded || await expandSearchTargets(await workspace.resolveTargets(targets, { write: true }), {
+      ...options,
+      cwd: workspace.root,
+      allowPath: target => workspace.allows(target, { write: true })
+    });
+    return await replace_all(targets, searchValue, replaceValue, { ...options, cwd: workspace.root, expanded });
+  },
+  "files.patch": async (params = {}) => {
+    const { patch, edits = [], options } = params;
+    if (patch === undefined && edits.length === 0) throw new Error("files.patch requires 'patch' or 'edits'");
+    const allEdits = [...(patch === undefined ? [] : parse_patch(patch)), ...edits];
+    const resolved = await Promise.all(allEdits.map(async edit => ({ ...edit, filePath: await workspace.resolve(edit.filePath, { write: true }) })));
+    return await apply_patch(resolved, options);
   },
   "files.exists": async (params = {}) => {
     const { filePath } = params;
-    return await fileExists(filePath);
+    return await fileExists(await workspace.resolve(filePath));
   },
   "fs.list": async (params = {}) => {
     const { dirPath, options } = params;
-    return await listDirectory(dirPath, options);
+    // Ignore files at the workspace root apply to every directory listed below it, and compact
+    // output uses paths relative to the root so they can be passed straight to other tools
+    return await listDirectory(await workspace.resolve(dirPath), { ...options, ignoreRoot: workspace.root, relativeTo: workspace.root, logger });
   },
   "fs.glob": async (params = {}) => {
-    const { pattern, options } = params;
-    return await glob(pattern, options);
+    const { pattern, options = {} } = params;
+    workspace.checkPattern(pattern);
+    return await glob(pattern, { ...options, cwd: await workspace.resolve(options.cwd), ignoreRoot: workspace.root, logger });
   },
   "fs.globWithStats": async (params = {}) => {
-    const { pattern, options } = params;
-    return await globWithStats(pattern, options);
+    const { pattern, options = {} } = params;
+    workspace.checkPattern(pattern);
+    return await globWithStats(pattern, { ...options, cwd: await workspace.resolve(options.cwd), ignoreRoot: workspace.root, logger });
   },
-  "system.run": async (params = {}) => {
-    const { command, options } = params;
-    return await systemRun(command, options);
+  "system.run": async (params = {}, { signal } = {}) => {
+    const { command, options = {} } = params;
+    // The command itself is gated by the permission policy; its working directory stays in the workspace
+    return await systemRun(command, { ...options, cwd: await workspace.resolve(options.cwd), signal, logger });
   }
 });
 
+// Structured failure sent back to the model for a tool call that did not succeed
+const toolFailure = (id, tool, outcome) => ({
+  id,
+  tool,
+  ok: false,
+  error: outcome.error,
+  validationErrors: outcome.validationErrors,
+  denied: outcome.denied,
+  feedback: outcome.feedback
+});
+
 // Robust JSON extraction from model output
 const extractJsonObject = (text) => {
   if (!text || typeof text !== "string") return null;
@@ -114,122 +180,661 @@ const extractJsonObject = (text) => {
   return null;
 };
 
-export class WebsiteCloneAgent {
+// Flatten a model response's content (string or content parts) into plain text
+const contentToText = (content) => {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map(p => (typeof p === "object" && p && "text" in p ? p.text : "")).join("");
+  }
+  return "";
+};
+
+// Appended to the system prompt when tools are bound as native function definitions
+const NATIVE_TOOLS_NOTE = `
+
+## Native Tool Calling
+
+Tools are available to you as function definitions. Call them through the function-calling interface instead of writing the tool JSON object in your reply; function names use underscores in place of dots (e.g. \`files.read\` is \`files_read\`). You may request several independent tool calls in one turn. When you are done, reply with the final JSON object described above.`;
+
+// Emits step:start, model:token, model:response, tool:call, tool:result, final and error
+// (see reporters.js for payloads). Nothing is printed unless a reporter is attached.
+export class WebsiteCloneAgent extends EventEmitter {
   constructor(options = {}) {
-    const modelName = options.model || process.env.OPENAI_MODEL || "gpt-4.1";
-    this.model = new ChatOpenAI({
-      model: modelName
+    super();
+    // Provider comes from options.provider or CHAI_PROVIDER (openai | anthropic | scripted)
+    this.provider = resolveProvider(options.provider);
+    this.modelName = resolveModelName(this.provider, options.model);
+    this.fixturePath = options.fixturePath;
+    this.model = createChatModel({
+      provider: this.provider,
+      model: this.modelName,
+      fixturePath: this.fixturePath
     });
+    // Chat model that writes history summaries (see summarize()); defaults to the main model
+    this.summaryModel = options.summaryModel || null;
+    // streaming: emit model:token events as assistant text arrives
+    this.streaming = options.streaming === true;
+    if (options.reporter) attachReporter(this, options.reporter);
+    // Optional PermissionPolicy (see permissions.js); without one every tool call runs
+    this.permissions = options.permissions || null;
     this.messages = [];
-    this.toolRegistry = buildToolRegistry();
+    // Tools only touch paths inside the workspace root (options.workspaceRoot, CHAI_WORKSPACE or the cwd)
+    this.workspace = options.workspace || new Workspace({ root: options.workspaceRoot, readOnlyDirs: options.readOnlyDirs });
+    // Tool progress and the agent's own warnings go to <sessionsDir>/<sessionId>/debug.log (or
+    // options.logger); verbose also prints them
+    this.verbose = options.verbose === true;
+    this.logger = options.logger || createDebugLogger({ getPath: () => this.debugLogPath(), verbose: this.verbose });
+    // files.read truncates at a line boundary and returns nextStartLine before its result would be
+    // moved out-of-band by the context manager; a third of that limit is left for JSON escaping and metadata
+    const readMaxBytes = Math.floor((options.maxResultChars || DEFAULT_MAX_RESULT_CHARS) * 2 / 3);
+    this.toolRegistry = buildToolRegistry(this.workspace, this.logger, { readMaxBytes });
     this.maxSteps = options.maxSteps || 20;
     this.systemPromptPath = options.systemPromptPath || path.resolve(__dirname, "./ai_agent_system_prompt.md");
     this._systemPrompt = null;
+
+    // Session persistence: history is written to <sessionsDir>/<sessionId>/session.json after every step
+    this.sessionsDir = resolveSessionsDir(options.sessionsDir);
+    this.persistSession = options.persistSession !== false;
+    this.sessionId = options.sessionId || createSessionId();
+    this.sessionCreatedAt = new Date().toISOString();
+    this.status = "idle"; // "running" while a run is in progress, so an interrupted run can be resumed
+    this.step = 0;
+    this.runCount = 0; // runs started by a user message; checkpoints are tagged with run and step
+    this.abortSignal = null; // signal of the run in progress, passed to the model and the tools
+
+    // Token usage and cost: `usage` covers the whole session, `runUsage` the current run.
+    // Budgets apply per run and stop the loop after the step that crosses them.
+    this.priceTable = loadPriceTable(options.prices, { logger: this.logger });
+    this.budget = {
+      maxTokens: options.maxTokens || Number(process.env.CHAI_MAX_TOKENS) || null,
+      maxCostUsd: options.maxCostUsd || Number(process.env.CHAI_MAX_COST_USD) || null
+    };
+    this.usage = createUsageTotals();
+    this.runUsage = createUsageTotals();
+    this.busy = false; // true while run() is in progress
+    this.steeringNotes = []; // user notes waiting for the next step boundary of the current run
+
+    // Large tool results are stored out-of-band next to the session and paged through with context.read
+    this.context = new ContextManager({
+      storageDir: this.resultsDir(),
+      tokenBudget: options.contextTokenBudget,
+      maxResultChars: options.maxResultChars,
+      keepRecentMessages: options.keepRecentMessages,
+      keepImageMessages: options.keepImageMessages,
+      logger: this.logger
+    });
+    this.toolRegistry["context.read"] = async (params = {}) => await this.context.readResult(params);
+
+    // Pre-images of files changed by write tools, for undo() and diff()
+    this.checkpoints = new CheckpointJournal({ dir: this.checkpointsDir() });
+
+    // "native" binds the registry as function definitions; "text" parses JSON out of the reply.
+    // Models without bindTools support always fall back to the text protocol.
+    const toolMode = options.toolMode || process.env.CHAI_TOOL_MODE || "native";
+    this.toolMode = toolMode === "native" && typeof this.model.bindTools === "function" ? "native" : "text";
+    this.toolNamesByFunction = Object.fromEntries(Object.keys(this.toolRegistry).map(name => [toFunctionName(name), name]));
+    this.bindModel();
+  }
+
+  bindModel() {
+    this.boundModel = this.toolMode === "native"
+      ? this.model.bindTools(buildToolSpecs(Object.keys(this.toolRegistry)))
+      : this.model;
+  }
+
+  // Switch to another model of the same provider mid-session; the history is kept
+  setModel(model) {
+    this.modelName = resolveModelName(this.provider, model);
+    this.model = createChatModel({
+      provider: this.provider,
+      model: this.modelName,
+      fixturePath: this.fixturePath
+    });
+    this.bindModel();
+  }
+
+  resultsDir() {
+    return this.persistSession ? path.join(this.sessionsDir, this.sessionId, "results") : null;
+  }
+
+  checkpointsDir() {
+    return this.persistSession ? path.join(this.sessionsDir, this.sessionId, "checkpoints") : null;
+  }
+
+  debugLogPath() {
+    return this.persistSession ? path.join(this.sessionsDir, this.sessionId, "debug.log") : null;
   }
 
   async loadSystemPrompt() {
     if (this._systemPrompt) return this._systemPrompt;
     const content = await fs.readFile(this.systemPromptPath, "utf8");
-    this._systemPrompt = content;
-    return content;
+    this._systemPrompt = this.toolMode === "native" ? content + NATIVE_TOOLS_NOTE : content;
+    return this._systemPrompt;
   }
 
   reset() {
     this.messages = [];
+    this.sessionId = createSessionId();
+    this.sessionCreatedAt = new Date().toISOString();
+    this.status = "idle";
+    this.step = 0;
+    this.runCount = 0;
+    this.usage = createUsageTotals();
+    this.runUsage = createUsageTotals();
+    this.context.results.clear();
+    this.context.storageDir = this.resultsDir();
+    this.checkpoints = new CheckpointJournal({ dir: this.checkpointsDir() });
+  }
+
+  // Add a response's usage metadata to the session and run totals; returns the priced entry
+  recordUsage(usage, requestMessages = []) {
+    if (!usage) return null;
+    const entry = {
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0),
+      image_tokens: estimateImageTokens(requestMessages, this.provider)
+    };
+    entry.cost_usd = computeCost(findPrice(this.priceTable, this.modelName), { ...usage, ...entry });
+    addUsage(this.usage, entry);
+    addUsage(this.runUsage, entry);
+    return entry;
+  }
+
+  async saveSession() {
+    if (!this.persistSession || this.messages.length === 0) return null;
+    try {
+      return await saveSession(this.sessionsDir, {
+        id: this.sessionId,
+        createdAt: this.sessionCreatedAt,
+        status: this.status,
+        step: this.step,
+        runs: this.runCount,
+        provider: this.provider,
+        model: this.modelName,
+        toolMode: this.toolMode,
+        usage: this.usage,
+        messages: this.messages
+      });
+    } catch (err) {
+      // A failed save should never abort the run itself
+      this.logger.warn(`⚠️  Could not save session ${this.sessionId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Replace the current history with a saved session; returns the loaded session metadata
+  async loadSession(sessionId) {
+    const session = await loadSession(this.sessionsDir, sessionId);
+    this.messages = session.messages;
+    this.sessionId = session.id;
+    this.sessionCreatedAt = session.createdAt;
+    this.status = session.status || "idle";
+    this.step = session.step || 0;
+    this.runCount = session.runs || 0;
+    this.usage = { ...createUsageTotals(), ...session.usage };
+    this.context.results.clear();
+    this.context.storageDir = this.resultsDir();
+    this.checkpoints = await new CheckpointJournal({ dir: this.checkpointsDir() }).load();
+    return session;
+  }
+
+  // True when the loaded session was interrupted in the middle of a run
+  hasPendingRun() {
+    return this.status === "running";
+  }
+
+  // Continue an interrupted run from the last saved step without adding a new user message
+  async resume(options = {}) {
+    return await this.run(null, options);
   }
 
   getHistory() {
     return this.messages;
   }
 
-  async run(userInput) {
-    const systemPrompt = await this.loadSystemPrompt();
-    if (!Array.isArray(this.messages) || this.messages.length === 0) {
-      this.messages = [new SystemMessage(systemPrompt)];
+  // Execute a registry tool, returning { ok, result } or { ok: false, error, validationErrors?, denied?, cancelled? }
+  async executeTool(tool, params, { signal, id } = {}) {
+    const toolFn = this.toolRegistry[tool];
+    if (!toolFn) {
+      return { ok: false, error: `Tool not found: ${tool}. Please choose a valid tool.` };
     }
-    this.messages.push(new HumanMessage(userInput));
+    // Reject malformed params before they reach the tool, listing every offending field
+    const validationErrors = validateToolParams(tool, params || {});
+    if (validationErrors.length > 0) {
+      return {
+        ok: false,
+        error: `Invalid params for ${tool}. Fix the listed fields and call the tool again.`,
+        validationErrors
+      };
+    }
+    // Paths a write tool will modify, resolved once for both the permission check and the checkpoint
+    // (for files.replaceAll this is a dry run, which also surfaces an invalid pattern and leaves
+    // its file list in `prepared` for the tool)
+    let targets;
+    const prepared = {};
+    try {
+      targets = toolDefinitions[tool]?.access === "write" ? await toolTargetPaths(tool, params || {}, this.workspace.root, { workspace: this.workspace, prepared }) : undefined;
+    } catch (err) {
+      return { ok: false, error: `Tool ${tool} failed: ${err.message}` };
+    }
+    const denial = this.permissions ? await this.permissions.authorize(tool, params || {}, { signal, targets }) : null;
+    if (denial) {
+      return {
+        ok: false,
+        denied: true,
+        error: `Permission denied for ${tool}: ${denial.reason}. Do not repeat this call; choose another approach${denial.feedback ? " following the user's feedback" : ""}.`,
+        feedback: denial.feedback
+      };
+    }
+    const checkpoint = await this.captureCheckpoint(tool, params || {}, id, targets);
+    try {
+      return { ok: true, result: await toolFn(params || {}, { signal, prepared }) };
+    } catch (err) {
+      if (signal?.aborted) {
+        return { ok: false, cancelled: true, error: `Tool ${tool} was cancelled by the user` };
+      }
+      return { ok: false, error: `Tool ${tool} failed: ${err.message}` };
+    } finally {
+      // Failed and cancelled calls may have changed files too
+      await this.recordCheckpoint(checkpoint);
+    }
+  }
 
-    for (let step = 0; step < this.maxSteps; step++) {
-      const response = await this.model.invoke(this.messages);
-      this.messages.push(new AIMessage(response.content));
+  // Checkpointing problems are reported but never fail the tool call itself
+  async captureCheckpoint(tool, params, callId, targets) {
+    try {
+      return await this.checkpoints.capture({ tool, params, baseDir: this.workspace.root, run: this.runCount, step: this.step + 1, callId, targets });
+    } catch (err) {
+      this.logger.warn(`⚠️  Could not checkpoint ${tool}: ${err.message}`);
+      return null;
+    }
+  }
 
-      const contentStr = typeof response.content === "string"
-        ? response.content
-        : (Array.isArray(response.content)
-          ? response.content.map(p => (typeof p === "object" && p && "text" in p ? p.text : "")).join("")
-          : "");
+  async recordCheckpoint(checkpoint) {
+    try {
+      return await this.checkpoints.record(checkpoint);
+    } catch (err) {
+      this.logger.warn(`⚠️  Could not record checkpoint for ${checkpoint.tool}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Revert the file changes of the latest run from `step` onward (default: its last step with changes).
+  // Returns { entries, restored, removed, conflicts, unrestorable, commands }; the model is told
+  // which files were reverted so it does not rely on their old content.
+  async undo({ step } = {}) {
+    if (this.busy) throw new Error("Cannot undo while a run is in progress");
+    const entries = this.checkpoints.select(step);
+    if (entries.length === 0) return { entries, restored: [], removed: [], conflicts: [], unrestorable: [], commands: [] };
+    const outcome = await this.checkpoints.undo(entries);
+    const reverted = [...outcome.restored, ...outcome.removed].map(file => path.relative(this.workspace.root, file) || file);
+    if (reverted.length > 0 && this.messages.length > 0) {
+      const fromStep = Math.min(...entries.map(entry => entry.step));
+      this.messages.push(new HumanMessage(`[The user reverted the file changes you made from step ${fromStep} on]\n${reverted.map(file => `- ${file}`).join("\n")}`));
+      await this.saveSession();
+    }
+    return { entries, ...outcome };
+  }
 
-      const json = extractJsonObject(contentStr);
+  // Unified diff of the files changed in the latest run from `step` onward (default: the whole run)
+  async diff({ step } = {}) {
+    const entries = this.checkpoints.select(step === undefined ? 1 : step);
+    return {
+      entries,
+      patch: await this.checkpoints.diff(entries, { baseDir: this.workspace.root }),
+      commands: entries.filter(entry => entry.command).map(entry => entry.command)
+    };
+  }
 
-      // If model signaled final output
-      if (json && json.final === true) {
-        console.log("\n=== Final Result ===");
-        try { console.log(JSON.stringify(json, null, 2)); } catch { console.log(String(json)); }
-        return { final: true, result: json, messages: this.messages };
+  // Convert screenshot files from a shots.capture result into image content parts
+  async screenshotImageParts(result) {
+    const images = [];
+    for (const shot of result) {
+      if (shot && shot.file && fssync.existsSync(shot.file)) {
+        try {
+          const dataUrl = await fileToDataUrl(shot.file);
+          images.push({ type: "image_url", image_url: { url: dataUrl } });
+        } catch {}
       }
+    }
+    return images;
+  }
 
-      // If tool call requested
-      if (json && json.tool) {
-        const { tool, params, id, reasoning } = json;
-        console.log("\n--- Tool call ---");
-        if (id) console.log(`id: ${id}`);
-        console.log(`tool: ${tool}`);
-        if (reasoning) console.log(`reasoning: ${reasoning}`);
-        try { console.log(`params: ${JSON.stringify(params || {}, null, 2)}`); } catch {}
-        const toolFn = this.toolRegistry[tool];
-        if (!toolFn) {
-          // Inform the model about the invalid tool
-          this.messages.push(new HumanMessage({
-            text: `Tool not found: ${tool}. Please choose a valid tool.`,
-          }));
-          continue;
+  // Emit an agent event; a throwing listener must not break the run
+  emitEvent(event, payload) {
+    // EventEmitter throws on unhandled "error" events, so only emit it when someone listens
+    if (event === "error" && this.listenerCount("error") === 0) return;
+    try { this.emit(event, payload); } catch {}
+  }
+
+  // executeTool wrapped with tool:call / tool:result events and timing
+  async runToolCall({ id, tool, params, reasoning }) {
+    const progress = { step: this.step + 1, maxSteps: this.maxSteps, id, tool };
+    this.emitEvent("tool:call", { ...progress, params, reasoning });
+    const startTime = Date.now();
+    const outcome = await this.executeTool(tool, params, { signal: this.abortSignal, id });
+    this.emitEvent("tool:result", {
+      ...progress,
+      ok: outcome.ok,
+      durationMs: Date.now() - startTime,
+      result: outcome.result,
+      error: outcome.error,
+      validationErrors: outcome.validationErrors,
+      denied: outcome.denied
+    });
+    return outcome;
+  }
+
+  // Invoke (or stream) the model; streamed chunks are merged back into a single AIMessage
+  async invokeModel(messages) {
+    const progress = { step: this.step + 1, maxSteps: this.maxSteps };
+    this.emitEvent("step:start", progress);
+    const startTime = Date.now();
+
+    let response;
+    if (this.streaming && this.toolMode === "native") {
+      const stream = await this.boundModel.stream(messages, { signal: this.abortSignal });
+      let aggregate = null;
+      for await (const chunk of stream) {
+        const text = contentToText(chunk.content);
+        if (text) this.emitEvent("model:token", { ...progress, text });
+        aggregate = aggregate ? concat(aggregate, chunk) : chunk;
+      }
+      response = new AIMessage({
+        content: aggregate ? aggregate.content : "",
+        tool_calls: (aggregate && aggregate.tool_calls) || [],
+        invalid_tool_calls: (aggregate && aggregate.invalid_tool_calls) || [],
+        usage_metadata: aggregate ? aggregate.usage_metadata : undefined,
+        additional_kwargs: aggregate ? aggregate.additional_kwargs : {},
+        response_metadata: aggregate ? aggregate.response_metadata : {},
+        id: aggregate ? aggregate.id : undefined
+      });
+    } else {
+      response = await this.boundModel.invoke(messages, { signal: this.abortSignal });
+      // Text protocol replies are raw JSON, so only native-mode text is shown as reasoning
+      const text = this.toolMode === "native" ? contentToText(response.content) : "";
+      if (text) this.emitEvent("model:token", { ...progress, text });
+    }
+
+    const usage = this.recordUsage(response.usage_metadata, messages);
+    this.emitEvent("model:response", {
+      ...progress,
+      durationMs: Date.now() - startTime,
+      text: contentToText(response.content),
+      toolCalls: response.tool_calls || [],
+      usage
+    });
+    return response;
+  }
+
+  finish(json) {
+    this.emitEvent("final", { step: this.step + 1, result: json, usage: this.runUsage });
+    return { final: true, result: json, messages: this.messages, usage: this.runUsage };
+  }
+
+  // Run the agent loop for a new user message; null continues the current run (see resume()).
+  // Aborting options.signal stops the model call or tool in flight and returns { cancelled: true }.
+  // Only one run may use the history at a time; see addSteeringNote() for input during a run.
+  async run(userInput, { signal } = {}) {
+    if (this.busy) {
+      throw new Error("A run is already in progress; wait for it to finish or add a steering note");
+    }
+    signal?.throwIfAborted();
+    this.busy = true;
+
+    try {
+      const systemPrompt = await this.loadSystemPrompt();
+      if (!Array.isArray(this.messages) || this.messages.length === 0) {
+        this.messages = [new SystemMessage(systemPrompt)];
+      }
+      if (userInput !== null && userInput !== undefined) {
+        this.messages.push(new HumanMessage(userInput));
+        this.step = 0;
+        this.runCount++;
+      }
+      this.runUsage = createUsageTotals();
+      this.status = "running";
+      this.abortSignal = signal || null;
+      await this.saveSession();
+
+      while (this.step < this.maxSteps) {
+        this.applySteeringNotes();
+        this.messages = await this.context.compact(this.messages, this.summarize.bind(this));
+        const response = await this.invokeModel(this.context.buildModelView(this.messages));
+        const outcome = this.toolMode === "native"
+          ? await this.handleNativeResponse(response)
+          : await this.handleTextResponse(response);
+        signal?.throwIfAborted();
+        this.step++;
+        if (outcome) {
+          this.status = "idle";
+          await this.saveSession();
+          return outcome;
         }
+        await this.saveSession();
 
-        let result;
-        try {
-          result = await toolFn(params || {});
-        } catch (err) {
-          this.messages.push(new HumanMessage({
-            text: `Tool ${tool} failed: ${err.message}`
-          }));
-          continue;
+        const budgetReason = checkBudget(this.runUsage, this.budget);
+        if (budgetReason) {
+          this.status = "idle";
+          await this.saveSession();
+          this.emitEvent("budget", { step: this.step, reason: budgetReason, usage: this.runUsage });
+          return { final: false, budgetExceeded: budgetReason, result: null, messages: this.messages, usage: this.runUsage };
         }
+      }
+
+      this.status = "idle";
+      await this.saveSession();
+      return { final: false, result: null, messages: this.messages, usage: this.runUsage };
+    } catch (error) {
+      if (signal?.aborted) {
+        // Every tool call answered so far stays in the history, so the next message continues from here
+        this.status = "idle";
+        await this.saveSession();
+        this.emitEvent("cancel", { step: this.step + 1 });
+        return { final: false, cancelled: true, result: null, messages: this.messages, usage: this.runUsage };
+      }
+      this.emitEvent("error", { step: this.step + 1, error });
+      throw error;
+    } finally {
+      this.abortSignal = null;
+      this.busy = false;
+    }
+  }
+
+  // Queue a note from the user for the run in progress; it is added to the history before the next model call
+  addSteeringNote(text) {
+    this.steeringNotes.push(text);
+  }
+
+  // Remove and return notes that no step picked up (e.g. the run finished first)
+  takeSteeringNotes() {
+    return this.steeringNotes.splice(0);
+  }
+
+  applySteeringNotes() {
+    if (this.steeringNotes.length === 0) return;
+    const notes = this.takeSteeringNotes();
+    this.messages.push(new HumanMessage(`[Note from the user during the run]\n${notes.join("\n")}`));
+    this.emitEvent("steer", { step: this.step + 1, notes });
+  }
 
-        // If screenshots taken, attach images
-        if (tool === "shots.capture" && Array.isArray(result)) {
-          const images = [];
-          for (const shot of result) {
-            if (shot && shot.file && fssync.existsSync(shot.file)) {
-              try {
-                const dataUrl = await fileToDataUrl(shot.file);
-                images.push({ type: "image_url", image_url: { url: dataUrl } });
-              } catch {}
-            }
-          }
-          console.log("tool result (shots.capture):");
-          try { console.log(JSON.stringify(result, null, 2)); } catch { console.log(String(result)); }
-
-          const textPart = { type: "text", text: JSON.stringify({ id, tool, ok: true, resultSummary: result.map(r => ({ viewport: r.viewport, file: r.file, error: r.error || null })) }, null, 2) };
-          this.messages.push(new HumanMessage([textPart, ...images]));
+  // Like run(), but yields every agent event as { type, ...payload } while the loop runs,
+  // ending with { type: "done", result } where result is what run() returns
+  async *runStream(userInput, options = {}) {
+    const queue = [];
+    let wake = null;
+    const push = (item) => {
+      queue.push(item);
+      if (wake) { wake(); wake = null; }
+    };
+
+    const listeners = AGENT_EVENTS.map(type => [type, (payload) => push({ type, ...payload })]);
+    listeners.forEach(([type, listener]) => this.on(type, listener));
+
+    let finished = false;
+    let failure = null;
+    const running = this.run(userInput, options).then(
+      result => push({ type: "done", result }),
+      error => { failure = error; }
+    ).finally(() => {
+      finished = true;
+      push(null);
+    });
+
+    try {
+      while (true) {
+        if (queue.length === 0) {
+          if (finished) break;
+          await new Promise(resolve => { wake = resolve; });
           continue;
         }
+        const item = queue.shift();
+        if (item) yield item;
+      }
+      await running;
+      if (failure) throw failure;
+    } finally {
+      listeners.forEach(([type, listener]) => this.off(type, listener));
+    }
+  }
 
-        // Default: return tool result as text context
-        console.log(`tool result (${tool}):`);
-        try { console.log(JSON.stringify(result, null, 2)); } catch { console.log(String(result)); }
-        this.messages.push(new HumanMessage({
-          text: JSON.stringify({ id, tool, ok: true, result }, null, 2)
+  // Summarize older turns with options.summaryModel or the unbound main model (see
+  // ContextManager.compact). With the scripted provider and no summaryModel, the summary is the
+  // next fixture response, so a fixture that crosses the token budget must include that turn.
+  async summarize(instructions, transcript) {
+    const response = await (this.summaryModel || this.model).invoke(
+      [new SystemMessage(instructions), new HumanMessage(transcript)],
+      { signal: this.abortSignal }
+    );
+    this.recordUsage(response.usage_metadata);
+    return contentToText(response.content);
+  }
+
+  // Native protocol: the model returns structured tool_calls, answered with ToolMessages keyed by call id
+  async handleNativeResponse(response) {
+    // Keep the full response so its tool_calls stay paired with the ToolMessages below
+    this.messages.push(response);
+
+    const toolCalls = response.tool_calls || [];
+    const invalidCalls = response.invalid_tool_calls || [];
+
+    if (toolCalls.length === 0 && invalidCalls.length === 0) {
+      const json = extractJsonObject(contentToText(response.content));
+      if (json && json.final === true) return this.finish(json);
+      return null;
+    }
+
+    // Malformed arguments are reported back instead of being dropped
+    for (const call of invalidCalls) {
+      const tool = this.toolNamesByFunction[call.name] || call.name;
+      this.messages.push(new ToolMessage({
+        tool_call_id: call.id,
+        content: JSON.stringify({ id: call.id, tool, ok: false, error: `Invalid tool call arguments: ${call.error || call.args}` })
+      }));
+    }
+
+    const imageParts = [];
+    for (const call of toolCalls) {
+      const tool = this.toolNamesByFunction[call.name] || call.name;
+      // After a cancel the remaining calls still need an answer to keep the history valid
+      const outcome = this.abortSignal?.aborted
+        ? { ok: false, error: `Tool ${tool} was cancelled by the user` }
+        : await this.runToolCall({ id: call.id, tool, params: call.args });
+      if (!outcome.ok) {
+        this.messages.push(new ToolMessage({
+          tool_call_id: call.id,
+          content: JSON.stringify(toolFailure(call.id, tool, outcome), null, 2)
         }));
         continue;
       }
 
-      // If neither tool call nor final JSON, continue loop to let model refine
+      const { result } = outcome;
+
+      // Tool messages carry text only; screenshots and images follow as one user message after all results
+      if (tool === "shots.capture" && Array.isArray(result)) {
+        imageParts.push(...await this.screenshotImageParts(result));
+        this.messages.push(new ToolMessage({
+          tool_call_id: call.id,
+          content: JSON.stringify({ id: call.id, tool, ok: true, resultSummary: result.map(r => ({ viewport: r.viewport, file: r.file, error: r.error || null })) }, null, 2)
+        }));
+        continue;
+      }
+      if (isImageRead(tool, result)) {
+        imageParts.push(imageReadPart(result));
+        this.messages.push(new ToolMessage({
+          tool_call_id: call.id,
+          content: JSON.stringify({ id: call.id, tool, ok: true, result: imageReadSummary(result) }, null, 2)
+        }));
+        continue;
+      }
+
+      this.messages.push(new ToolMessage({
+        tool_call_id: call.id,
+        content: JSON.stringify({ id: call.id, tool, ok: true, result: await this.context.prepareResult(tool, result) }, null, 2)
+      }));
     }
 
-    return { final: false, result: null, messages: this.messages };
+    if (imageParts.length > 0) {
+      // Array content must go through { content }; a bare array is not treated as content
+      this.messages.push(new HumanMessage({
+        content: [
+          { type: "text", text: "Images returned by shots.capture / files.read:" },
+          ...imageParts
+        ]
+      }));
+    }
+    return null;
   }
-}
 
-export const createWebsiteCloneAgent = (options = {}) => new WebsiteCloneAgent(options);
+  // Text protocol fallback: a single {tool, params} or {final} JSON object in the reply
+  async handleTextResponse(response) {
+    this.messages.push(new AIMessage(response.content));
+
+    const json = extractJsonObject(contentToText(response.content));
+
+    // If model signaled final output
+    if (json && json.final === true) return this.finish(json);
+
+    // If tool call requested
+    if (json && json.tool) {
+      const { tool, params, id, reasoning } = json;
+      const outcome = await this.runToolCall({ id, tool, params, reasoning });
+      if (outcome.validationErrors || outcome.denied) {
+        this.messages.push(new HumanMessage(JSON.stringify(toolFailure(id, tool, outcome), null, 2)));
+        return null;
+      }
+      if (!outcome.ok) {
+        this.messages.push(new HumanMessage(outcome.error));
+        return null;
+      }
+      const { result } = outcome;
+
+      // If screenshots taken, attach images
+      if (tool === "shots.capture" && Array.isArray(result)) {
+        const images = await this.screenshotImageParts(result);
+
+        const textPart = { type: "text", text: JSON.stringify({ id, tool, ok: true, resultSummary: result.map(r => ({ viewport: r.viewport, file: r.file, error: r.error || null })) }, null, 2) };
+        this.messages.push(new HumanMessage({ content: [textPart, ...images] }));
+        return null;
+      }
+
+      if (isImageRead(tool, result)) {
+        const textPart = { type: "text", text: JSON.stringify({ id, tool, ok: true, result: imageReadSummary(result) }, null, 2) };
+        this.messages.push(new HumanMessage({ content: [textPart, imageReadPart(result)] }));
+        return null;
+      }
+
+      // Default: return tool result as text context
+      this.messages.push(new HumanMessage(
+        JSON.stringify({ id, tool, ok: true, result: await this.context.prepareResult(tool, result) }, null, 2)
+      ));
+      return null;
+    }
 
+    // If neither tool call nor final JSON, continue loop to let model refine
+    return null;
+  }
+}
 
+export const createWebsiteCloneAgent = (options = {}) => new WebsiteCloneAgent(options);
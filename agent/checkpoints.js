@@ -0,0 +1,244 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { toolDefinitions, toolTargetPaths } from "./tool_definitions.js";
+import { unifiedDiff } from "../tools/text_diff.js";
+
+// Checkpoint journal for agent file changes. Before a write tool runs, the pre-image of every file
+// it targets is captured (directory targets such as outputDir are listed instead); afterwards the
+// files that actually changed are recorded as one entry tagged with the run and step. Undoing
+// entries restores the pre-images and removes files the agent created. Shell commands are noted
+// in the journal but their changes cannot be tracked.
+//
+// Layout: <dir>/journal.json plus <dir>/blobs/<sha256> for pre-images. Without a dir (sessions
+// not persisted) the journal lives in memory.
+
+const JOURNAL_FILE = "journal.json";
+
+const hashOf = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Same heuristic as git: a NUL byte near the start means binary
+const isBinary = (buffer) => buffer.subarray(0, 8000).includes(0);
+
+const statOrNull = async (target) => {
+  try {
+    return await fs.stat(target);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+    throw error;
+  }
+};
+
+const readOrNull = async (target) => {
+  const stats = await statOrNull(target);
+  return stats && stats.isFile() ? await fs.readFile(target) : null;
+};
+
+// Files under a directory as { absolutePath: "size:mtime" }
+const listFiles = async (dir) => {
+  const listing = {};
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(entry.parentPath || entry.path, entry.name);
+    const stats = await fs.stat(filePath);
+    listing[filePath] = `${stats.size}:${stats.mtimeMs}`;
+  }
+  return listing;
+};
+
+export class CheckpointJournal {
+  constructor({ dir = null } = {}) {
+    this.dir = dir;
+    this.entries = [];
+    this.memoryBlobs = new Map();
+    this.nextId = 1;
+  }
+
+  // Read the journal of a saved session, if it has one
+  async load() {
+    this.entries = [];
+    this.memoryBlobs.clear();
+    if (this.dir) {
+      try {
+        this.entries = JSON.parse(await fs.readFile(path.join(this.dir, JOURNAL_FILE), "utf8")).entries || [];
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+    this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    return this;
+  }
+
+  async save() {
+    if (!this.dir) return;
+    await fs.mkdir(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, JOURNAL_FILE);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ entries: this.entries }), "utf8");
+    await fs.rename(tempPath, filePath);
+  }
+
+  async storeBlob(buffer) {
+    const hash = hashOf(buffer);
+    if (!this.dir) {
+      this.memoryBlobs.set(hash, buffer);
+      return hash;
+    }
+    const blobPath = path.join(this.dir, "blobs", hash);
+    if (!(await statOrNull(blobPath))) {
+      await fs.mkdir(path.dirname(blobPath), { recursive: true });
+      await fs.writeFile(blobPath, buffer);
+    }
+    return hash;
+  }
+
+  async readBlob(hash) {
+    if (!this.dir) return this.memoryBlobs.get(hash) || null;
+    return await readOrNull(path.join(this.dir, "blobs", hash));
+  }
+
+  // Snapshot the targets of a tool call before it runs; null for tools that change nothing.
+  // `targets` are the call's resolved target paths when the caller already has them.
+  async capture({ tool, params = {}, baseDir, run, step, callId, targets }) {
+    const definition = toolDefinitions[tool];
+    if (!definition || definition.access === "read") return null;
+    const pending = { tool, run, step, callId, targets: [] };
+    if (definition.access === "shell") {
+      pending.command = params.command;
+      return pending;
+    }
+    // Pre-images stay in memory until record(), so only files that changed are stored
+    for (const target of targets || await toolTargetPaths(tool, params, baseDir)) {
+      const stats = await statOrNull(target);
+      if (stats && stats.isDirectory()) {
+        pending.targets.push({ path: target, listing: await listFiles(target) });
+      } else if (stats && stats.isFile()) {
+        const content = await fs.readFile(target);
+        pending.targets.push({ path: target, before: hashOf(content), content });
+      } else {
+        pending.targets.push({ path: target, before: null });
+      }
+    }
+    return pending;
+  }
+
+  // Compare a captured snapshot with the files now on disk and journal what changed.
+  // Returns the new entry, or null when nothing changed.
+  async record(pending) {
+    if (!pending) return null;
+    const files = [];
+    for (const target of pending.targets) {
+      const stats = await statOrNull(target.path);
+      if (stats && stats.isDirectory()) {
+        // Files created in an output directory can be removed again; overwritten ones have no pre-image
+        const before = target.listing || {};
+        const after = await listFiles(target.path);
+        for (const [filePath, signature] of Object.entries(after)) {
+          if (before[filePath] === signature) continue;
+          const existed = filePath in before;
+          files.push({ path: filePath, existed, before: null, after: hashOf(await fs.readFile(filePath)), restorable: !existed });
+        }
+        continue;
+      }
+      if (target.listing) continue;
+      const content = await readOrNull(target.path);
+      const after = content ? hashOf(content) : null;
+      if (after === target.before) continue;
+      if (target.content) await this.storeBlob(target.content);
+      files.push({ path: target.path, existed: target.before !== null, before: target.before, after, restorable: true });
+    }
+    if (files.length === 0 && !pending.command) return null;
+
+    const entry = {
+      id: this.nextId++,
+      run: pending.run,
+      step: pending.step,
+      tool: pending.tool,
+      callId: pending.callId,
+      createdAt: new Date().toISOString(),
+      files
+    };
+    if (pending.command) entry.command = pending.command;
+    this.entries.push(entry);
+    await this.save();
+    return entry;
+  }
+
+  // Entries of the latest run from `step` onward; without a step, the last step that has entries
+  select(step) {
+    if (this.entries.length === 0) return [];
+    const last = this.entries[this.entries.length - 1];
+    const from = step === undefined || step === null ? last.step : step;
+    return this.entries.filter(entry => entry.run === last.run && entry.step >= from);
+  }
+
+  // Per file: the oldest pre-image and the newest post-image across the entries
+  changedFiles(entries) {
+    const byPath = new Map();
+    for (const entry of entries) {
+      for (const file of entry.files) {
+        const known = byPath.get(file.path);
+        if (known) {
+          known.after = file.after;
+        } else {
+          byPath.set(file.path, { ...file });
+        }
+      }
+    }
+    return [...byPath.values()];
+  }
+
+  // Restore the files changed by the entries and drop them from the journal. Files modified since
+  // the agent wrote them are left alone and reported as conflicts.
+  async undo(entries) {
+    const outcome = { restored: [], removed: [], conflicts: [], unrestorable: [], commands: [] };
+    for (const file of this.changedFiles(entries)) {
+      const current = await readOrNull(file.path);
+      if ((current ? hashOf(current) : null) !== file.after) {
+        outcome.conflicts.push(file.path);
+      } else if (!file.restorable) {
+        outcome.unrestorable.push(file.path);
+      } else if (!file.existed) {
+        if (current) await fs.rm(file.path, { force: true });
+        outcome.removed.push(file.path);
+      } else {
+        const original = await this.readBlob(file.before);
+        if (!original) {
+          outcome.unrestorable.push(file.path);
+          continue;
+        }
+        await fs.mkdir(path.dirname(file.path), { recursive: true });
+        await fs.writeFile(file.path, original);
+        outcome.restored.push(file.path);
+      }
+    }
+    outcome.commands = entries.filter(entry => entry.command).map(entry => entry.command);
+    const ids = new Set(entries.map(entry => entry.id));
+    this.entries = this.entries.filter(entry => !ids.has(entry.id));
+    await this.save();
+    return outcome;
+  }
+
+  // Unified diff of every file changed by the entries, from its pre-image to its current content
+  async diff(entries, { baseDir = process.cwd() } = {}) {
+    const sections = [];
+    for (const file of this.changedFiles(entries)) {
+      const label = path.relative(baseDir, file.path) || file.path;
+      const original = file.existed ? await this.readBlob(file.before) : Buffer.alloc(0);
+      const current = await readOrNull(file.path);
+      if (file.existed && !original) {
+        sections.push(`${label}: overwritten (no pre-image)`);
+      } else if ((original && isBinary(original)) || (current && isBinary(current))) {
+        sections.push(`${label}: binary file ${!file.existed ? "added" : current ? "changed" : "deleted"}`);
+      } else {
+        const patch = unifiedDiff(original.toString("utf8"), current ? current.toString("utf8") : "", {
+          fromLabel: file.existed ? `a/${label}` : "/dev/null",
+          toLabel: current ? `b/${label}` : "/dev/null"
+        });
+        if (patch) sections.push(patch);
+      }
+    }
+    return sections.join("\n");
+  }
+}
@@ -0,0 +1,203 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { HumanMessage } from "@langchain/core/messages";
+import { silentLogger } from "../tools/logger.js";
+
+// Rough token estimate: ~4 characters per token, flat cost per attached image
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1000;
+
+// Serialized result size before a tool result is stored out-of-band
+export const DEFAULT_MAX_RESULT_CHARS = 12000;
+
+const SUMMARY_PREFIX = "[Conversation summary]";
+
+const SUMMARY_INSTRUCTIONS = `You compress the history of a website-cloning agent session. Summarize the transcript below so the agent can continue the task without it. Keep: the user's goal and target URL, files created or modified (with paths), key facts learned from tool results (layout, colors, fonts, breakpoints, asset URLs), result handles that may still be useful, decisions made, and the current plan and open issues. Omit raw HTML/CSS dumps. Reply with the summary only.`;
+
+const isImagePart = (part) => part && typeof part === "object" && (part.type === "image_url" || part.type === "image");
+
+const messageText = (message) => {
+  const { content } = message;
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map(p => (typeof p === "object" && p && "text" in p ? p.text : "")).join("");
+  }
+  return "";
+};
+
+export const estimateTokens = (messages) => messages.reduce((total, message) => {
+  const images = Array.isArray(message.content) ? message.content.filter(isImagePart).length : 0;
+  const toolCalls = message.tool_calls && message.tool_calls.length ? JSON.stringify(message.tool_calls).length : 0;
+  return total + Math.ceil((messageText(message).length + toolCalls) / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}, 0);
+
+// Read a dot/bracket path such as "stylesheets.0.content" or "stylesheets[0].content"
+const getAtPath = (value, valuePath) => {
+  if (!valuePath) return value;
+  return valuePath.replace(/\[(\d+)\]/g, ".$1").split(".").filter(Boolean)
+    .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+};
+
+export class ContextManager {
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || null; // null keeps stored results in memory only
+    this.maxResultChars = options.maxResultChars || DEFAULT_MAX_RESULT_CHARS;
+    this.maxFieldChars = options.maxFieldChars || 2000; // longest string kept inline in a truncated result
+    this.maxArrayItems = options.maxArrayItems || 50;
+    this.tokenBudget = options.tokenBudget || 100000; // summarize older turns beyond this estimate
+    this.keepRecentMessages = options.keepRecentMessages || 12;
+    this.keepImageMessages = options.keepImageMessages || 1; // newest messages whose screenshots stay attached
+    this.logger = options.logger || silentLogger;
+    this.results = new Map();
+  }
+
+  // Store the full result under a handle and return a copy small enough to keep in history
+  async prepareResult(tool, result) {
+    // Pages read back from a handle are already sized by the caller
+    if (tool === "context.read") return result;
+
+    let serialized;
+    try { serialized = JSON.stringify(result); } catch { return result; }
+    if (serialized === undefined || serialized.length <= this.maxResultChars) return result;
+
+    const handle = `${tool.replace(/\W+/g, "-")}-${crypto.randomBytes(4).toString("hex")}`;
+    await this.storeResult(handle, result);
+
+    // Shrink the per-field limit until the inline copy fits the result budget
+    let fieldLimit = this.maxFieldChars;
+    let truncated = this.truncateValue(result, "", handle, fieldLimit);
+    while (JSON.stringify(truncated).length > this.maxResultChars && fieldLimit > 200) {
+      fieldLimit = Math.floor(fieldLimit / 2);
+      truncated = this.truncateValue(result, "", handle, fieldLimit);
+    }
+
+    return {
+      _handle: handle,
+      _note: `Result truncated (${serialized.length} chars). Use context.read with handle "${handle}" and a path to page through any field.`,
+      result: truncated
+    };
+  }
+
+  truncateValue(value, valuePath, handle, fieldLimit) {
+    if (typeof value === "string") {
+      if (value.length <= fieldLimit) return value;
+      return `${value.slice(0, fieldLimit)}…[truncated ${value.length - fieldLimit} of ${value.length} chars; context.read handle "${handle}" path "${valuePath}"]`;
+    }
+    if (Array.isArray(value)) {
+      const items = value.slice(0, this.maxArrayItems)
+        .map((item, index) => this.truncateValue(item, valuePath ? `${valuePath}.${index}` : String(index), handle, fieldLimit));
+      if (value.length > this.maxArrayItems) {
+        items.push(`…[${value.length - this.maxArrayItems} more items; context.read handle "${handle}" path "${valuePath}"]`);
+      }
+      return items;
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+        key,
+        this.truncateValue(child, valuePath ? `${valuePath}.${key}` : key, handle, fieldLimit)
+      ]));
+    }
+    return value;
+  }
+
+  async storeResult(handle, result) {
+    this.results.set(handle, result);
+    if (!this.storageDir) return;
+    try {
+      await fs.mkdir(this.storageDir, { recursive: true });
+      await fs.writeFile(path.join(this.storageDir, `${handle}.json`), JSON.stringify(result), "utf8");
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not store result ${handle}: ${error.message}`);
+    }
+  }
+
+  async loadResult(handle) {
+    if (this.results.has(handle)) return this.results.get(handle);
+    if (!this.storageDir || !/^[\w-]+$/.test(handle)) return undefined;
+    try {
+      const result = JSON.parse(await fs.readFile(path.join(this.storageDir, `${handle}.json`), "utf8"));
+      this.results.set(handle, result);
+      return result;
+    } catch {
+      return undefined;
+    }
+  }
+
+  // Page through a stored result: the value at `path` (serialized if not a string) from offset for length chars
+  async readResult({ handle, path: valuePath, offset = 0, length = 8000 } = {}) {
+    const result = await this.loadResult(handle);
+    if (result === undefined) {
+      throw new Error(`Unknown result handle: ${handle}`);
+    }
+    const value = getAtPath(result, valuePath);
+    if (value === undefined) {
+      throw new Error(`Path not found in ${handle}: ${valuePath}`);
+    }
+    const text = typeof value === "string" ? value : JSON.stringify(value, null, 2);
+    const content = text.slice(offset, offset + length);
+    const nextOffset = offset + content.length;
+    return {
+      handle,
+      path: valuePath || "",
+      totalLength: text.length,
+      offset,
+      length: content.length,
+      content,
+      hasMore: nextOffset < text.length,
+      nextOffset: nextOffset < text.length ? nextOffset : null,
+      keys: value && typeof value === "object" ? Object.keys(value).slice(0, 100) : undefined
+    };
+  }
+
+  // Messages to send to the model: screenshots are only kept on the newest image-bearing messages
+  buildModelView(messages) {
+    let imageMessagesSeen = 0;
+    const view = [...messages];
+    for (let i = view.length - 1; i >= 0; i--) {
+      const message = view[i];
+      if (!Array.isArray(message.content) || !message.content.some(isImagePart)) continue;
+      imageMessagesSeen++;
+      if (imageMessagesSeen <= this.keepImageMessages) continue;
+      const removed = message.content.filter(isImagePart).length;
+      view[i] = new HumanMessage({
+        content: [
+          ...message.content.filter(part => !isImagePart(part)),
+          { type: "text", text: `[${removed} older screenshot(s) removed from context; re-read the files if needed]` }
+        ]
+      });
+    }
+    return view;
+  }
+
+  // Earliest index that can start the kept tail without separating tool results from their call
+  findCutIndex(messages) {
+    let cut = Math.max(1, messages.length - this.keepRecentMessages);
+    while (cut > 1 && messages[cut] && messages[cut]._getType() === "tool") cut--;
+    return cut;
+  }
+
+  // When the history exceeds the token budget, replace everything between the system prompt and
+  // the recent tail with one summary message. Returns the (possibly new) history array.
+  async compact(messages, summarize) {
+    if (estimateTokens(this.buildModelView(messages)) <= this.tokenBudget) return messages;
+
+    const cut = this.findCutIndex(messages);
+    const older = messages.slice(1, cut);
+    if (older.length < 2) return messages;
+
+    const transcript = older.map(message => {
+      const calls = message.tool_calls && message.tool_calls.length
+        ? ` [tool calls: ${message.tool_calls.map(c => `${c.name} ${JSON.stringify(c.args)}`).join("; ")}]`
+        : "";
+      return `${message._getType()}: ${messageText(message).slice(0, 2000)}${calls}`;
+    }).join("\n\n");
+
+    const summary = await summarize(SUMMARY_INSTRUCTIONS, transcript);
+    return [
+      messages[0],
+      new HumanMessage(`${SUMMARY_PREFIX}\n${summary}`),
+      ...messages.slice(cut)
+    ];
+  }
+}
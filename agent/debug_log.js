@@ -0,0 +1,28 @@
+import fs from "fs";
+import path from "path";
+import util from "util";
+
+// Logger the agent hands to the tools (see tools/logger.js) and uses for its own warnings. Lines
+// are appended to a debug log instead of the terminal, where they would interleave with the
+// reporter's output; verbose also echoes them to stderr, which keeps stdout free for results such
+// as the headless JSON document. getPath is asked on every line because the session, and with it
+// the file, changes on reset and resume; null means no file (sessions not persisted).
+export const createDebugLogger = ({ getPath = () => null, verbose = false } = {}) => {
+  const write = (level, values) => {
+    const message = util.format(...values);
+    if (verbose) process.stderr.write(`${message}\n`);
+    const filePath = getPath();
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${new Date().toISOString()} [${level}] ${message}\n`, "utf8");
+    } catch {
+      // Losing a debug line should never fail the tool call that logged it
+    }
+  };
+  return {
+    log: (...values) => write("log", values),
+    warn: (...values) => write("warn", values),
+    error: (...values) => write("error", values)
+  };
+};
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { renderFunctionReference } from './tool_definitions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const START_MARKER = '<!-- function-reference:start -->';
+const END_MARKER = '<!-- function-reference:end -->';
+
+// Replace the generated block between the markers with freshly rendered content
+const updateFunctionReference = async (promptPath = path.resolve(__dirname, './ai_agent_system_prompt.md'), options = {}) => {
+  const { check = false } = options;
+
+  const content = await fs.readFile(promptPath, 'utf8');
+  const start = content.indexOf(START_MARKER);
+  const end = content.indexOf(END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`Function Reference markers not found in ${promptPath}`);
+  }
+
+  const updated = content.slice(0, start + START_MARKER.length) +
+    '\n' + renderFunctionReference() + '\n' +
+    content.slice(end);
+  const changed = updated !== content;
+
+  if (changed && !check) {
+    await fs.writeFile(promptPath, updated, 'utf8');
+  }
+
+  return { file: promptPath, changed };
+};
+
+// CLI functionality
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log('📝 Function Reference Generator');
+    console.log('===============================');
+    console.log('Regenerates the Function Reference section of the system prompt from agent/tool_definitions.js');
+    console.log('');
+    console.log('Usage: node agent/generate_function_reference.js [prompt-file] [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --check             Exit with code 1 if the prompt is out of date, without writing');
+    console.log('  --help              Show this help message');
+    process.exit(0);
+  }
+
+  const check = args.includes('--check');
+  const promptPath = args.find(arg => !arg.startsWith('--'));
+
+  try {
+    const result = await updateFunctionReference(promptPath && path.resolve(promptPath), { check });
+    if (check) {
+      console.log(result.changed ? `❌ Function Reference is out of date: ${result.file}` : '✅ Function Reference is up to date');
+      process.exit(result.changed ? 1 : 0);
+    }
+    console.log(result.changed ? `✅ Updated Function Reference in ${result.file}` : '✅ Function Reference already up to date');
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+export { updateFunctionReference };
+
+// Run CLI if this file is executed directly
+if (process.argv[1] === __filename) {
+  main();
+}
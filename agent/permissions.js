@@ -0,0 +1,112 @@
+import fs from "fs";
+import path from "path";
+import { toolDefinitions, toolTargetPaths } from "./tool_definitions.js";
+import { isInside, realpathOfNearest } from "./workspace.js";
+
+// Permission policy for tool calls. Read-only tools always run; write tools run without asking
+// when every path they touch is inside an output directory; shell commands run without asking
+// when they match the allowlist. Everything else goes to the approver (the CLI prompt), or is
+// decided by `defaultDecision` when there is nobody to ask.
+
+export const DEFAULT_PERMISSIONS_FILE = "chai.permissions.json";
+
+export const DEFAULT_PERMISSION_CONFIG = {
+  outputDirs: ["./data"], // mutating calls inside these directories need no approval
+  shellAllowlist: ["ls", "pwd", "git status", "git diff", "git log"], // command prefixes
+  allow: [], // tool names that never need approval
+  deny: [], // tool names that are always refused
+  defaultDecision: "ask" // "ask" | "allow" | "deny"; "ask" without an approver denies
+};
+
+// Chaining, redirection or substitution would let an allowlisted prefix run anything
+const SHELL_METACHARACTERS = /[;&|<>`$(){}\n]/;
+
+// Config file: explicit path, then CHAI_PERMISSIONS_FILE, then chai.permissions.json in the cwd.
+// A missing default file is fine; a missing explicit file or invalid JSON is an error.
+export const loadPermissionConfig = (filePath) => {
+  const explicitPath = filePath || process.env.CHAI_PERMISSIONS_FILE;
+  const configPath = path.resolve(explicitPath || DEFAULT_PERMISSIONS_FILE);
+  if (!fs.existsSync(configPath)) {
+    if (explicitPath) throw new Error(`Permissions file not found: ${configPath}`);
+    return { ...DEFAULT_PERMISSION_CONFIG };
+  }
+  try {
+    return { ...DEFAULT_PERMISSION_CONFIG, ...JSON.parse(fs.readFileSync(configPath, "utf8")), configPath };
+  } catch (error) {
+    throw new Error(`Invalid permissions file ${configPath}: ${error.message}`);
+  }
+};
+
+export class PermissionPolicy {
+  // approver: async ({ tool, params, reason, signal }) => "once" | "session" | "deny" | { decision, feedback }
+  // baseDir: relative paths resolve against it, like the workspace root the tools use
+  constructor(config = {}, { approver = null, baseDir = process.cwd() } = {}) {
+    this.config = { ...DEFAULT_PERMISSION_CONFIG, ...config };
+    this.baseDir = path.resolve(baseDir);
+    this.outputDirs = this.config.outputDirs.map(dir => path.resolve(this.baseDir, dir));
+    this.approver = approver;
+    this.sessionGrants = new Set(); // "<tool>:<command or directory>" answered with "allow for this session"
+  }
+
+  addOutputDir(dir) {
+    this.outputDirs.push(path.resolve(this.baseDir, dir));
+  }
+
+  isShellAllowlisted(command) {
+    // Check before collapsing whitespace, which would turn a newline into a harmless space
+    const text = String(command || "").trim();
+    if (!text || SHELL_METACHARACTERS.test(text)) return false;
+    const normalized = text.replace(/\s+/g, " ");
+    return this.config.shellAllowlist.some(entry => normalized === entry || normalized.startsWith(`${entry} `));
+  }
+
+  // Decide without prompting: { decision: "allow" | "deny" | "ask", reason, scopes }.
+  // `targets` are the call's resolved target paths when the caller already has them.
+  async classify(tool, params = {}, { targets } = {}) {
+    const definition = toolDefinitions[tool];
+    if (this.config.deny.includes(tool)) return { decision: "deny", reason: `${tool} is disabled by the permission policy` };
+    if (this.config.allow.includes(tool) || !definition || definition.access === "read") return { decision: "allow" };
+
+    if (definition.access === "shell") {
+      const command = String(params.command || "").trim();
+      if (this.isShellAllowlisted(command)) return { decision: "allow" };
+      if (this.sessionGrants.has(`${tool}:${command}`)) return { decision: "allow" };
+      return { decision: "ask", reason: "shell command is not on the allowlist", scopes: [command] };
+    }
+
+    // Compared by real path, so a symlink inside an output directory cannot point the write elsewhere
+    const realOutputDirs = await Promise.all(this.outputDirs.map(dir => realpathOfNearest(dir)));
+    const outside = [];
+    for (const target of targets || await toolTargetPaths(tool, params, this.baseDir)) {
+      const realTarget = await realpathOfNearest(target);
+      if (!realOutputDirs.some(dir => isInside(realTarget, dir))) outside.push(target);
+    }
+    if (outside.length === 0) return { decision: "allow" };
+    const pending = outside.filter(target => !this.sessionGrants.has(`${tool}:${path.dirname(target)}`));
+    if (pending.length === 0) return { decision: "allow" };
+    const scopes = [...new Set(pending.map(target => path.dirname(target)))];
+    return { decision: "ask", reason: `writes outside the output directories: ${pending.join(", ")}`, scopes };
+  }
+
+  // Resolve a call to null (allowed) or a denial { reason, feedback? } for the model
+  async authorize(tool, params = {}, { signal, targets } = {}) {
+    const { decision, reason, scopes } = await this.classify(tool, params, { targets });
+    if (decision === "allow") return null;
+    if (decision === "deny") return { reason };
+
+    if (this.config.defaultDecision === "allow") return null;
+    if (this.config.defaultDecision === "deny") return { reason: `${reason}; denied by the permission policy` };
+    if (!this.approver) {
+      return { reason: `${reason}; approval is required but nobody can be asked in this mode` };
+    }
+
+    const answer = await this.approver({ tool, params, reason, signal });
+    const { decision: choice, feedback } = typeof answer === "string" ? { decision: answer } : answer || {};
+    if (choice === "session") {
+      scopes.forEach(scope => this.sessionGrants.add(`${tool}:${scope}`));
+      return null;
+    }
+    if (choice === "once") return null;
+    return { reason: `${reason}; denied by user`, feedback };
+  }
+}
@@ -0,0 +1,118 @@
+import fs from "fs";
+import path from "path";
+import { ChatOpenAI } from "@langchain/openai";
+import { ChatAnthropic } from "@langchain/anthropic";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage } from "@langchain/core/messages";
+
+export const PROVIDERS = ["openai", "anthropic", "scripted"];
+
+const DEFAULT_MODELS = {
+  openai: () => process.env.OPENAI_MODEL || "gpt-4.1",
+  anthropic: () => process.env.ANTHROPIC_MODEL || "claude-sonnet-4-0",
+  scripted: () => "scripted"
+};
+
+const API_KEY_ENV = {
+  openai: "OPENAI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY"
+};
+
+// Explicit option wins, then CHAI_PROVIDER, then OpenAI
+export const resolveProvider = (provider) => {
+  const name = String(provider || process.env.CHAI_PROVIDER || "openai").toLowerCase();
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown provider '${name}'. Use one of: ${PROVIDERS.join(", ")}`);
+  }
+  return name;
+};
+
+export const resolveModelName = (provider, model) => model || DEFAULT_MODELS[resolveProvider(provider)]();
+
+// Load canned responses: a JSON array, or { "responses": [...] }. Each response is a string
+// (assistant text) or { content, tool_calls?: [{ id?, name, args }], usage_metadata? }.
+const loadFixture = (fixturePath) => {
+  if (!fixturePath) {
+    throw new Error("The scripted provider needs a fixture file (CHAI_SCRIPTED_FIXTURE or the fixturePath option)");
+  }
+  const absolutePath = path.resolve(fixturePath);
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Scripted fixture not found: ${absolutePath}`);
+  }
+  const data = JSON.parse(fs.readFileSync(absolutePath, "utf8"));
+  const responses = Array.isArray(data) ? data : data.responses;
+  if (!Array.isArray(responses)) {
+    throw new Error(`Scripted fixture must be an array or { "responses": [...] }: ${absolutePath}`);
+  }
+  return responses;
+};
+
+// Offline chat model that replays a fixture of canned responses in order, so the full agent
+// loop (native tool calls included) runs with no network.
+export class ScriptedChatModel extends BaseChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.fixturePath = fields.fixturePath;
+    this.responses = fields.responses || loadFixture(fields.fixturePath);
+    this.index = 0;
+  }
+
+  static lc_name() {
+    return "ScriptedChatModel";
+  }
+
+  _llmType() {
+    return "scripted";
+  }
+
+  // Tools are already encoded in the fixture's tool_calls, so binding is a no-op
+  bindTools() {
+    return this;
+  }
+
+  nextMessage() {
+    if (this.index >= this.responses.length) {
+      throw new Error(`Scripted fixture exhausted after ${this.responses.length} responses`);
+    }
+    const entry = this.responses[this.index++];
+    if (typeof entry === "string") return new AIMessage(entry);
+    return new AIMessage({
+      content: entry.content || "",
+      tool_calls: (entry.tool_calls || []).map((call, i) => ({
+        id: call.id || `scripted-${this.index}-${i}`,
+        name: call.name,
+        args: call.args || {},
+        type: "tool_call"
+      })),
+      usage_metadata: entry.usage_metadata
+    });
+  }
+
+  async _generate() {
+    const message = this.nextMessage();
+    return {
+      generations: [{ text: typeof message.content === "string" ? message.content : "", message }]
+    };
+  }
+}
+
+// Build the chat model for a provider; options: { provider, model, fixturePath, streaming }
+export const createChatModel = (options = {}) => {
+  const provider = resolveProvider(options.provider);
+  const model = resolveModelName(provider, options.model);
+
+  const apiKeyEnv = API_KEY_ENV[provider];
+  if (apiKeyEnv && !process.env[apiKeyEnv]) {
+    throw new Error(`Missing ${apiKeyEnv} environment variable`);
+  }
+
+  switch (provider) {
+    case "anthropic":
+      return new ChatAnthropic({ model, streaming: options.streaming });
+    case "scripted":
+      return new ScriptedChatModel({ fixturePath: options.fixturePath || process.env.CHAI_SCRIPTED_FIXTURE });
+    case "openai":
+    default:
+      return new ChatOpenAI({ model, streaming: options.streaming });
+  }
+};
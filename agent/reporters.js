@@ -0,0 +1,66 @@
+// Reporters turn WebsiteCloneAgent events into output. A reporter is any object with some of
+// these methods; attachReporter subscribes it to the matching agent events:
+//   step:start      onStepStart({ step, maxSteps })
+//   model:token     onToken(text)                      streamed assistant text (native mode)
+//   model:response  onModelResponse({ step, maxSteps, durationMs, text, toolCalls, usage })  usage: see usage.js
+//   tool:call       onToolCall({ step, maxSteps, id, tool, params, reasoning })
+//   tool:result     onToolResult({ step, maxSteps, id, tool, ok, durationMs, result, error, validationErrors, denied })
+//   steer           onSteer({ step, notes })           user notes were added to the running conversation
+//   budget          onBudget({ step, reason, usage })  a maxTokens / maxCostUsd budget stopped the run
+//   final           onFinal(json, { step, usage })
+//   cancel          onCancel({ step })                 the run was aborted through its signal
+//   error           onError({ step, error })
+
+import { formatUsage } from "./usage.js";
+
+const EVENT_HOOKS = {
+  "step:start": (reporter, payload) => reporter.onStepStart && reporter.onStepStart(payload),
+  "model:token": (reporter, payload) => reporter.onToken && reporter.onToken(payload.text),
+  "model:response": (reporter, payload) => reporter.onModelResponse && reporter.onModelResponse(payload),
+  "tool:call": (reporter, payload) => reporter.onToolCall && reporter.onToolCall(payload),
+  "tool:result": (reporter, payload) => reporter.onToolResult && reporter.onToolResult(payload),
+  "steer": (reporter, payload) => reporter.onSteer && reporter.onSteer(payload),
+  "budget": (reporter, payload) => reporter.onBudget && reporter.onBudget(payload),
+  "final": (reporter, payload) => reporter.onFinal && reporter.onFinal(payload.result, payload),
+  "cancel": (reporter, payload) => reporter.onCancel && reporter.onCancel(payload),
+  "error": (reporter, payload) => reporter.onError && reporter.onError(payload)
+};
+
+export const AGENT_EVENTS = Object.keys(EVENT_HOOKS);
+
+// Subscribe a reporter to an agent; returns a function that detaches it again
+export const attachReporter = (agent, reporter) => {
+  const listeners = AGENT_EVENTS.map(event => [event, (payload) => EVENT_HOOKS[event](reporter, payload)]);
+  listeners.forEach(([event, listener]) => agent.on(event, listener));
+  return () => listeners.forEach(([event, listener]) => agent.off(event, listener));
+};
+
+// The original verbose console output (full params and results as JSON)
+export const createConsoleReporter = () => ({
+  onToolCall({ id, tool, reasoning, params }) {
+    console.log("\n--- Tool call ---");
+    if (id) console.log(`id: ${id}`);
+    console.log(`tool: ${tool}`);
+    if (reasoning) console.log(`reasoning: ${reasoning}`);
+    try { console.log(`params: ${JSON.stringify(params || {}, null, 2)}`); } catch {}
+  },
+
+  onToolResult({ tool, ok, result, error }) {
+    if (!ok) {
+      console.log(`tool error (${tool}): ${error}`);
+      return;
+    }
+    console.log(`tool result (${tool}):`);
+    try { console.log(JSON.stringify(result, null, 2)); } catch { console.log(String(result)); }
+  },
+
+  onBudget({ reason }) {
+    console.log(`\nRun stopped: ${reason}`);
+  },
+
+  onFinal(json, { usage } = {}) {
+    console.log("\n=== Final Result ===");
+    try { console.log(JSON.stringify(json, null, 2)); } catch { console.log(String(json)); }
+    if (usage && usage.calls) console.log(`usage: ${formatUsage(usage)}`);
+  }
+});
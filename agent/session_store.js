@@ -0,0 +1,108 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { mapChatMessagesToStoredMessages, mapStoredMessagesToChatMessages } from "@langchain/core/messages";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SESSIONS_DIR = path.resolve(__dirname, "..", "data", "sessions");
+
+// Explicit option wins, then CHAI_SESSIONS_DIR, then data/sessions in the project
+export const resolveSessionsDir = (sessionsDir) => sessionsDir || process.env.CHAI_SESSIONS_DIR || DEFAULT_SESSIONS_DIR;
+
+const SESSION_FILE = "session.json";
+
+// Sortable, human-friendly id: 20250101-120000-ab12cd
+export const createSessionId = () => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+};
+
+const sessionFilePath = (sessionsDir, id) => path.join(sessionsDir, id, SESSION_FILE);
+
+// First human message text, used as a label in session listings
+const firstUserText = (storedMessages) => {
+  const first = storedMessages.find(m => m.type === "human");
+  if (!first) return "";
+  const { content } = first.data;
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map(p => (p && p.type === "text" ? p.text : "")).join(" ");
+  return "";
+};
+
+// Write the session atomically so a crash mid-write never leaves a truncated file behind
+export const saveSession = async (sessionsDir, session) => {
+  const dir = path.join(sessionsDir, session.id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const storedMessages = mapChatMessagesToStoredMessages(session.messages);
+  const data = {
+    id: session.id,
+    createdAt: session.createdAt,
+    updatedAt: new Date().toISOString(),
+    status: session.status,
+    step: session.step,
+    runs: session.runs,
+    provider: session.provider,
+    model: session.model,
+    toolMode: session.toolMode,
+    usage: session.usage,
+    title: firstUserText(storedMessages).slice(0, 80),
+    messages: storedMessages
+  };
+
+  const filePath = sessionFilePath(sessionsDir, session.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data), "utf8");
+  await fs.rename(tempPath, filePath);
+  return filePath;
+};
+
+export const loadSession = async (sessionsDir, id) => {
+  const filePath = sessionFilePath(sessionsDir, id);
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error(`Session not found: ${id}`);
+    throw error;
+  }
+  const data = JSON.parse(raw);
+  return { ...data, messages: mapStoredMessagesToChatMessages(data.messages || []) };
+};
+
+// Session summaries, most recently updated first
+export const listSessions = async (sessionsDir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(sessionsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const sessions = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    try {
+      const data = JSON.parse(await fs.readFile(sessionFilePath(sessionsDir, entry.name), "utf8"));
+      sessions.push({
+        id: data.id,
+        title: data.title,
+        status: data.status,
+        step: data.step,
+        model: data.model,
+        messageCount: (data.messages || []).length,
+        createdAt: data.createdAt,
+        updatedAt: data.updatedAt
+      });
+    } catch {
+      // Skip directories without a readable session file
+    }
+  }
+
+  sessions.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  return sessions;
+};
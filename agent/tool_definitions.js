@@ -0,0 +1,664 @@
+// Tool definitions keyed by the canonical tool names used in buildToolRegistry.
+// Each entry carries the JSON schema for its params plus the documentation used to
+// render the Function Reference section of ai_agent_system_prompt.md, so the schema
+// sent to the model, the validator and the docs all come from one place.
+// `access` ("read" | "write" | "shell") drives the permission policy and checkpoints; write
+// tools list the params holding the paths they modify in `pathParams`, or compute them with
+// `targetPaths(params, baseDir)` (may be async) when the paths are nested or come from a glob.
+
+import path from "path";
+import { expandSearchTargets, parse_patch, replace_all } from "../tools/read_write_search_file.js";
+import { Workspace } from "./workspace.js";
+
+const waitUntilSchema = {
+  type: "string",
+  enum: ["domcontentloaded", "load", "networkidle0", "networkidle2"],
+  default: "domcontentloaded"
+};
+
+const globOptionsSchema = {
+  type: "object",
+  properties: {
+    cwd: { type: "string" },
+    ignore: { type: "array", items: { type: "string" } },
+    respectIgnore: { type: "boolean", default: true, description: "skip what .gitignore, .ignore and .chaiignore files ignore" },
+    dot: { type: "boolean" },
+    absolute: { type: "boolean" },
+    maxDepth: { type: "integer", minimum: 1 },
+    caseSensitive: { type: "boolean" },
+    quiet: { type: "boolean" }
+  }
+};
+
+export const toolDefinitions = {
+  "page.extract": {
+    signature: "extractPageData(url, outputDir?, options?)",
+    description: "Extract HTML, styles, scripts, and metadata of a page",
+    access: "write",
+    pathParams: ["outputDir"],
+    parameters: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "target website URL" },
+        outputDir: { type: "string", default: "./data/website_extraction", description: "where to save extraction JSON" },
+        options: {
+          type: "object",
+          properties: {
+            timeout: { type: "number", default: 60000, description: "ms" },
+            retries: { type: "integer", minimum: 0, default: 3 },
+            waitUntil: waitUntilSchema,
+            userAgent: { type: "string" },
+            useCache: { type: "boolean", default: true },
+            extractComputedStyles: { type: "boolean", default: false }
+          }
+        }
+      },
+      required: ["url"]
+    },
+    returns: [
+      "object",
+      "  - `url` (string)",
+      "  - `timestamp` (ISO string)",
+      "  - `html` (string)",
+      "  - `stylesheets` (array of { type: 'inline'|'external'|'style_tag', content: string|null, href: string, error?: string })",
+      "  - `computedStyles` (array, possibly empty)",
+      "  - `scripts` (array of { index: number, src: string|null, content: string|null, type: string, async: boolean, defer: boolean })",
+      "  - `metadata` (object: title, description, keywords, viewport, charset, lang, ogTitle, ogDescription, ogImage, canonical, favicon)",
+      "  - `stats` ({ htmlLength: number, stylesheetsCount: number, computedStylesCount: number, scriptsCount: number })",
+      "  - `cached` (boolean, optional)"
+    ],
+    example: {
+      tool: "page.extract",
+      params: {
+        url: "https://example.com",
+        outputDir: "./data/website_extraction",
+        options: { waitUntil: "networkidle0", extractComputedStyles: false }
+      },
+      reasoning: "Get full HTML/CSS/JS to plan clone structure",
+      id: "extract-1",
+      expect: ["html", "stylesheets", "scripts", "metadata"]
+    }
+  },
+  "shots.capture": {
+    signature: "takeResponsiveScreenshots(url, outputDir?, options?)",
+    description: "Capture full-page screenshots at mobile/tablet/desktop viewports",
+    access: "write",
+    pathParams: ["outputDir"],
+    parameters: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "target website URL" },
+        outputDir: { type: "string", default: "./data/screenshots", description: "where to save screenshots" },
+        options: {
+          type: "object",
+          properties: {
+            timeout: { type: "number", default: 60000, description: "ms" },
+            retries: { type: "integer", minimum: 0, default: 3 },
+            waitUntil: waitUntilSchema,
+            userAgent: { type: "string" }
+          }
+        }
+      },
+      required: ["url"]
+    },
+    returns: [
+      "array of screenshot result objects",
+      "  - each: { viewport: 'mobile'|'tablet'|'desktop', dimensions: 'WxH', file: string|null, filename: string|null, error?: string, cached?: boolean }"
+    ],
+    example: {
+      tool: "shots.capture",
+      params: { url: "https://example.com", outputDir: "./data/screenshots" },
+      reasoning: "Create visual references for fidelity checks",
+      id: "shots-1",
+      expect: ["0.file", "1.file", "2.file"]
+    }
+  },
+  "files.read": {
+    signature: "read_file(filePath, encoding?, options?)",
+    description: "Read a file, or a line or byte range of it",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        filePath: { type: "string" },
+        encoding: { type: "string", default: "auto", description: "'auto' detects BOMs and legacy charsets; 'base64' returns raw bytes (images are attached for you to view); or a charset such as 'latin1' or 'shift_jis'" },
+        options: {
+          type: "object",
+          properties: {
+            startLine: { type: "integer", minimum: 1, description: "first line to return (1-based)" },
+            endLine: { type: "integer", minimum: 1, description: "last line to return (inclusive)" },
+            offset: { type: "integer", minimum: 0, description: "byte offset to read from; offset/length read bytes instead of lines" },
+            length: { type: "integer", minimum: 0, description: "number of bytes to read from offset" },
+            maxBytes: { type: "integer", minimum: 1, description: "cap on the returned content, cut at a line boundary; defaults to two thirds of the agent's maxResultChars (8000 unless configured)" },
+            lineNumbers: { type: "boolean", default: false, description: "prefix lines with their numbers (\"  12| ...\")" }
+          }
+        }
+      },
+      required: ["filePath"]
+    },
+    returns: [
+      "{ content: string, filePath: string, size: number, modified: Date, mtimeMs: number, hash?: string, encoding: string, bom?: true, binary?: true, mimeType?: string, truncated: boolean, totalLines?, startLine?, endLine?, nextStartLine?, offset?, length?, nextOffset? }",
+      "  - `truncated` means maxBytes cut the content short; read on from `nextStartLine` (or `nextOffset`), present whenever the file continues",
+      "  - Binary files (images, fonts, archives) come back as `binary: true` with their `mimeType` and no content; read PNG/JPEG/WebP/GIF images with encoding \"base64\" to see them"
+    ],
+    example: { tool: "files.read", params: { filePath: "./styles.css", options: { startLine: 120, endLine: 180, lineNumbers: true } }, reasoning: "Inspect the header rules before editing them", id: "read-1" }
+  },
+  "files.readMany": {
+    signature: "read_many_files(filePaths, options?)",
+    description: "Read multiple files",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        filePaths: { type: "array", items: { type: "string" } },
+        options: {
+          type: "object",
+          properties: {
+            encoding: { type: "string", default: "auto", description: "'auto' detects the text encoding and skips the content of binary files; 'base64' returns raw bytes" },
+            continueOnError: { type: "boolean", default: true },
+            showProgress: { type: "boolean", default: false }
+          }
+        }
+      },
+      required: ["filePaths"]
+    },
+    returns: ["{ results: Array<{ file, content?, size?, formattedSize?, modified?, success, encoding?, binary?, mimeType?, error? }>, summary: { total, successful, failed, totalSize, formattedTotalSize } }"]
+  },
+  "files.write": {
+    signature: "write_file(filePath, content, options?)",
+    description: "Write or append to a file, auto-create directories",
+    access: "write",
+    pathParams: ["filePath"],
+    parameters: {
+      type: "object",
+      properties: {
+        filePath: { type: "string" },
+        content: { type: "string" },
+        options: {
+          type: "object",
+          properties: {
+            encoding: { type: "string", default: "utf8" },
+            createDirs: { type: "boolean", default: true },
+            append: { type: "boolean", default: false },
+            backup: { type: "boolean", default: false },
+            expectedMtime: { anyOf: [{ type: "number" }, { type: "string" }], description: "mtimeMs from files.read; the write fails if the file was modified since" },
+            expectedHash: { type: "string", pattern: "^[0-9a-fA-F]{64}$", description: "hash from files.read; the write fails if the content changed since" }
+          }
+        }
+      },
+      required: ["filePath", "content"]
+    },
+    returns: [
+      "{ file: string, size: number, formattedSize: string, created: ISOString, operation: 'created'|'overwritten'|'appended', encoding: string, mtimeMs: number, hash: string }",
+      "  - Overwrites are atomic: the file holds either the old or the new content, never part of it"
+    ],
+    example: {
+      tool: "files.write",
+      params: { filePath: "./public/index.html", content: "<!doctype html><html>...</html>", options: { createDirs: true } },
+      reasoning: "Create base HTML shell",
+      id: "write-1",
+      expect: ["file", "operation"]
+    }
+  },
+  "files.search": {
+    signature: "search_file_content(filePaths, pattern, options?)",
+    description: "Search for a pattern in files, directories (recursively) or glob patterns",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        filePaths: {
+          anyOf: [
+            { type: "string" },
+            { type: "array", items: { type: "string" } }
+          ],
+          description: "files, directories or glob patterns such as \"src/**/*.css\"; walks skip node_modules, .git and files ignored by .gitignore, .ignore or .chaiignore"
+        },
+        pattern: { type: "string" },
+        options: {
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: ["literal", "regex"], default: "literal", description: "'regex' treats pattern as a JavaScript regular expression" },
+            flags: { type: "string", pattern: "^[imsuy]*$", default: "", description: "extra regex flags, e.g. 's' so '.' matches newlines" },
+            multiline: { type: "boolean", default: false, description: "match across line boundaries; results then carry endLine" },
+            caseSensitive: { type: "boolean", default: true },
+            wholeWord: { type: "boolean", default: false },
+            include: { type: "array", items: { type: "string" }, default: ["**/*"], description: "globs of files to search inside directories" },
+            exclude: { type: "array", items: { type: "string" }, description: "globs of files or directories to skip" },
+            respectGitignore: { type: "boolean", default: true },
+            dot: { type: "boolean", default: false, description: "include dotfiles when walking directories" },
+            maxMatches: { type: "integer", minimum: 1, default: 100, description: "stop searching once this many matches were found" },
+            showContext: { type: "boolean", default: false },
+            contextLines: { type: "integer", minimum: 0, default: 2 }
+          }
+        }
+      },
+      required: ["filePaths", "pattern"]
+    },
+    returns: ["{ results: Array<{ file, line, endLine?, content, match, position, context? }>, files: Array<{ file, matches }>, summary: { totalFiles, filesSearched, filesWithMatches, totalMatches, binaryFilesSkipped, truncated, errors: string[] } }"]
+  },
+  "files.replace": {
+    signature: "replace(filePath, searchValue, replaceValue, options?)",
+    description: "Search-and-replace in a single file",
+    access: "write",
+    pathParams: ["filePath"],
+    parameters: {
+      type: "object",
+      properties: {
+        filePath: { type: "string" },
+        searchValue: { type: "string" },
+        replaceValue: { type: "string" },
+        options: {
+          type: "object",
+          properties: {
+            backup: { type: "boolean", default: false },
+            dryRun: { type: "boolean", default: false },
+            caseSensitive: { type: "boolean", default: true },
+            wholeWord: { type: "boolean", default: false }
+          }
+        }
+      },
+      required: ["filePath", "searchValue", "replaceValue"]
+    },
+    returns: ["{ file: string, replacements: number, changed: boolean, dryRun: boolean, originalSize: number, newSize: number, sizeDifference: number }"]
+  },
+  "files.replaceAll": {
+    signature: "replace_all(targets, searchValue, replaceValue, options?)",
+    description: "Find and replace across files, directories or glob patterns at once, all or nothing",
+    access: "write",
+    // The files that would change, found with a dry run over the targets confined to the
+    // workspace. A path outside it or an invalid pattern throws here, so the call fails before
+    // anyone is asked to approve it. The expansion is kept in `prepared` for the real write.
+    targetPaths: async (params, baseDir, { workspace = new Workspace({ root: baseDir, readOnlyDirs: [] }), prepared = {} } = {}) => {
+      const { targets, searchValue, replaceValue, options = {} } = params;
+      if (!targets || typeof searchValue !== "string" || typeof replaceValue !== "string") return [];
+      prepared.expanded = await expandSearchTargets(await workspace.resolveTargets(targets, { write: true }), {
+        ...options,
+        cwd: workspace.root,
+        allowPath: file => workspace.allows(file, { write: true })
+      });
+      const preview = await replace_all(targets, searchValue, replaceValue, { ...options, dryRun: true, backup: false, cwd: workspace.root, expanded: prepared.expanded });
+      return preview.files.map(file => file.file);
+    },
+    parameters: {
+      type: "object",
+      properties: {
+        targets: {
+          anyOf: [
+            { type: "string" },
+            { type: "array", items: { type: "string" } }
+          ],
+          description: "files, directories or glob patterns such as \"public/**/*.html\"; walks skip node_modules, .git and files ignored by .gitignore, .ignore or .chaiignore"
+        },
+        searchValue: { type: "string" },
+        replaceValue: { type: "string", description: "in regex mode $1 / $<name> insert capture groups" },
+        options: {
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: ["literal", "regex"], default: "literal" },
+            flags: { type: "string", pattern: "^[imsuy]*$", default: "" },
+            caseSensitive: { type: "boolean", default: true },
+            wholeWord: { type: "boolean", default: false },
+            include: { type: "array", items: { type: "string" }, default: ["**/*"], description: "globs of files to change inside directories" },
+            exclude: { type: "array", items: { type: "string" }, description: "globs of files or directories to skip" },
+            respectGitignore: { type: "boolean", default: true },
+            dryRun: { type: "boolean", default: false, description: "return a unified diff per file instead of writing" },
+            backup: { type: "boolean", default: false, description: "copy the originals into one .backup.<timestamp> directory" }
+          }
+        }
+      },
+      required: ["targets", "searchValue", "replaceValue"]
+    },
+    returns: ["{ applied: boolean, dryRun: boolean, files: Array<{ file, replacements, sizeDifference, diff? }>, summary: { filesSearched, filesChanged, totalReplacements, binaryFilesSkipped, errors: string[] }, backupDir? }"],
+    example: {
+      tool: "files.replaceAll",
+      params: { targets: "public/**/*.html", searchValue: "Acme Inc", replaceValue: "Example Co", options: { dryRun: true } },
+      reasoning: "Preview renaming the company on every page before applying it",
+      id: "replace-all-1",
+      expect: ["files", "summary"]
+    }
+  },
+  "files.patch": {
+    signature: "apply_patch(edits, options?)",
+    description: "Apply several exact edits across files at once, all or nothing",
+    access: "write",
+    targetPaths: (params) => {
+      const edits = Array.isArray(params.edits) ? [...params.edits] : [];
+      if (typeof params.patch === "string") {
+        try { edits.push(...parse_patch(params.patch)); } catch {}
+      }
+      return edits.map(edit => edit && edit.filePath).filter(filePath => typeof filePath === "string");
+    },
+    parameters: {
+      type: "object",
+      properties: {
+        patch: { type: "string", description: "unified diff (---/+++ headers and @@ hunks); line numbers are ignored" },
+        edits: {
+          type: "array",
+          description: "{ filePath, oldText, newText } edits; each oldText must match the current file exactly once, and an empty oldText creates a new file",
+          items: {
+            type: "object",
+            properties: {
+              filePath: { type: "string" },
+              oldText: { type: "string" },
+              newText: { type: "string" }
+            },
+            required: ["filePath", "oldText", "newText"]
+          }
+        },
+        options: {
+          type: "object",
+          properties: {
+            dryRun: { type: "boolean", default: false }
+          }
+        }
+      }
+    },
+    returns: ["{ applied: boolean, dryRun: boolean, files: Array<{ file, created, hunks, sizeDifference }>, hunks: Array<{ hunk, file, ok, line?, error? }>, summary: { total, applied, failed } }"],
+    example: {
+      tool: "files.patch",
+      params: {
+        edits: [
+          { filePath: "./public/index.html", oldText: "<title>Draft</title>", newText: "<title>Acme</title>" },
+          { filePath: "./public/styles.css", oldText: ".hero {\n  padding: 8px;", newText: ".hero {\n  padding: 48px 16px;" }
+        ]
+      },
+      reasoning: "Fix the title and hero spacing without rewriting either file",
+      id: "patch-1",
+      expect: ["applied", "hunks"]
+    }
+  },
+  "files.exists": {
+    signature: "fileExists(filePath)",
+    description: "Check if a file exists",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        filePath: { type: "string" }
+      },
+      required: ["filePath"]
+    },
+    returns: ["boolean"]
+  },
+  "fs.list": {
+    signature: "listDirectory(dirPath, options?)",
+    description: "List directory contents",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        dirPath: { type: "string" },
+        options: {
+          type: "object",
+          properties: {
+            recursive: { type: "boolean", default: false },
+            showHidden: { type: "boolean", default: false },
+            respectIgnore: { type: "boolean", default: true, description: "skip node_modules, .git, logs and what .gitignore, .ignore and .chaiignore files ignore" },
+            showStats: { type: "boolean", default: false },
+            sortBy: { type: "string", enum: ["name", "size", "date"], default: "name" },
+            sortOrder: { type: "string", enum: ["asc", "desc"], default: "asc" },
+            filter: { type: "string", description: "file extension like '.js'" },
+            maxDepth: { type: "integer", minimum: 1, description: "tree/compact: directories at this depth are collapsed and not read" },
+            maxEntries: { type: "integer", minimum: 1, default: 20, description: "tree/compact: entries shown per directory before the rest is summarised" },
+            output: { type: "string", enum: ["list", "json", "table", "tree", "compact"], default: "list", description: "'tree' and 'compact' walk the directory down to maxDepth and are the cheapest way to see a project" }
+          }
+        }
+      },
+      required: ["dirPath"]
+    },
+    returns: [
+      "{ path, totalItems, filesCount, directoriesCount, skipped: number, files: Item[], directories: Item[] }",
+      "  - Item: { name, path, relativePath, isDirectory, isFile, size, modified, created }",
+      "  - output 'tree': { path, totalFiles, totalDirectories, totalSize, skipped, tree: string } with an indented tree of `name/ (N files, size)` lines; symlinks show as `name -> target`",
+      "  - output 'compact': { path, totalFiles, totalDirectories, totalSize, skipped, root: Node }; Node is { dir, size, files, entries: Node[], more?: { directories, files, size } }, { dir, entries: number, collapsed: true } beyond maxDepth, { file, size } or { link, target }, paths relative to the workspace root"
+    ],
+    example: {
+      tool: "fs.list",
+      params: { dirPath: "./public", options: { output: "tree", maxDepth: 2 } },
+      reasoning: "See the structure of the clone so far",
+      id: "list-1"
+    }
+  },
+  "fs.glob": {
+    signature: "glob(pattern, options?)",
+    description: "Glob for files/directories",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string" },
+        options: globOptionsSchema
+      },
+      required: ["pattern"]
+    },
+    returns: ["{ pattern, matches: string[], count: number, skipped: number, options: object, timestamp: ISOString }"]
+  },
+  "fs.globWithStats": {
+    signature: "globWithStats(pattern, options?)",
+    description: "Glob plus per-file stats",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string" },
+        options: globOptionsSchema
+      },
+      required: ["pattern"]
+    },
+    returns: ["{ pattern, matches: string[], count, skipped, options, timestamp, files: Array<{ path, relativePath, stats: { size, modified, isDirectory, isFile } }> }"]
+  },
+  "context.read": {
+    signature: "contextManager.readResult({ handle, path?, offset?, length? })",
+    description: "Page through a large tool result that was stored out-of-band and truncated in the conversation",
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        handle: { type: "string", description: "the `_handle` of a truncated result" },
+        path: { type: "string", description: "field inside the result, e.g. `html` or `stylesheets.0.content`; omit for the whole result" },
+        offset: { type: "integer", minimum: 0, default: 0, description: "character offset" },
+        length: { type: "integer", minimum: 1, default: 8000, description: "characters to return" }
+      },
+      required: ["handle"]
+    },
+    returns: ["{ handle, path, totalLength, offset, length, content: string, hasMore: boolean, nextOffset: number|null, keys?: string[] }"],
+    example: {
+      tool: "context.read",
+      params: { handle: "page-extract-1a2b3c4d", path: "html", offset: 8000 },
+      reasoning: "Read the next chunk of the extracted HTML",
+      id: "ctx-1"
+    }
+  },
+  "system.run": {
+    signature: "runShellCommand(command, options?)",
+    description: "Execute a shell command safely (build, format, dev server, etc.)",
+    access: "shell",
+    parameters: {
+      type: "object",
+      properties: {
+        command: { type: "string" },
+        options: {
+          type: "object",
+          properties: {
+            cwd: { type: "string" },
+            timeout: { type: "number", default: 30000 },
+            encoding: { type: "string", default: "utf8" },
+            retries: { type: "integer", minimum: 1, default: 3 },
+            background: { type: "boolean", default: false },
+            interactive: { type: "boolean", default: false },
+            env: { type: "object", additionalProperties: { type: "string" } },
+            shell: { type: "boolean", default: true },
+            maxBuffer: { type: "number" },
+            silent: { type: "boolean", default: false }
+          }
+        }
+      },
+      required: ["command"]
+    },
+    returns: [
+      "(foreground success): { command, success: true, output: string, error: string, exitCode: number, duration: number, attempt: number }",
+      "(background): { command, success: true, output: string, error: string, exitCode: 0, background: true, pid: number }",
+      "(failure): { command, success: false, output: string, error: string, exitCode: number, signal?: string, attempts?: number }"
+    ]
+  }
+};
+
+// Function names sent to the model must match ^[a-zA-Z0-9_-]+$, so dots become underscores
+export const toFunctionName = (toolName) => toolName.replace(/\./g, "_");
+
+// Build function-calling tool specs for every registered tool that has a definition
+export const buildToolSpecs = (toolNames) => toolNames
+  .filter(name => toolDefinitions[name])
+  .map(name => ({
+    type: "function",
+    function: {
+      name: toFunctionName(name),
+      description: toolDefinitions[name].description,
+      parameters: toolDefinitions[name].parameters
+    }
+  }));
+
+// Describe the JSON type of a value the way JSON Schema names it
+const jsonTypeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = jsonTypeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+// Validate a value against the subset of JSON Schema used by toolDefinitions
+// (type, properties, required, items, enum, anyOf, minimum, additionalProperties).
+// Returns a list of { path, message } entries; empty when the value is valid.
+export const validateAgainstSchema = (value, schema, pathLabel = "params") => {
+  const errors = [];
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => validateAgainstSchema(value, option, pathLabel).length === 0);
+    if (!matched) {
+      errors.push({ path: pathLabel, message: `expected ${describeType(schema)}, got ${jsonTypeOf(value)}` });
+    }
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: pathLabel, message: `expected ${describeType(schema)}, got ${jsonTypeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: pathLabel, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}` });
+  }
+
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: pathLabel, message: `must match ${schema.pattern}` });
+  }
+
+  if (typeof schema.minimum === "number" && typeof value === "number" && value < schema.minimum) {
+    errors.push({ path: pathLabel, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${pathLabel}[${index}]`));
+    });
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${pathLabel}.${key}`, message: "is required" });
+      }
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      if (propValue === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(propValue, properties[key], `${pathLabel}.${key}`));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateAgainstSchema(propValue, schema.additionalProperties, `${pathLabel}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${pathLabel}.${key}`, message: "is not a supported parameter" });
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Validate tool params against the tool's schema; unknown tools have nothing to check
+export const validateToolParams = (toolName, params) => {
+  const definition = toolDefinitions[toolName];
+  if (!definition) return [];
+  return validateAgainstSchema(params, definition.parameters);
+};
+
+// Schema default of one top-level param, or undefined
+export const paramDefault = (toolName, name) => toolDefinitions[toolName]?.parameters.properties[name]?.default;
+
+// Absolute paths a write tool would modify; an omitted path param falls back to its schema default.
+// context is { workspace, prepared } for tools whose targetPaths needs them (see files.replaceAll).
+export const toolTargetPaths = async (toolName, params = {}, baseDir = process.cwd(), context = {}) => {
+  const definition = toolDefinitions[toolName];
+  if (!definition) return [];
+  if (definition.targetPaths) return (await definition.targetPaths(params, baseDir, context)).map(p => path.resolve(baseDir, p));
+  return (definition.pathParams || []).flatMap(name => {
+    const value = params[name] !== undefined ? params[name] : paramDefault(toolName, name);
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value]).map(p => path.resolve(baseDir, String(p)));
+  });
+};
+
+// Short human-readable type, e.g. "string|string[]" or "'name'|'size'|'date'"
+const describeType = (schema) => {
+  if (schema.anyOf) return schema.anyOf.map(describeType).join("|");
+  if (schema.enum) return schema.enum.map(v => `'${v}'`).join("|");
+  if (schema.type === "array" && schema.items) return `${describeType(schema.items)}[]`;
+  return schema.type || "any";
+};
+
+const renderParams = (schema, indent) => {
+  const required = new Set(schema.required || []);
+  const lines = [];
+  for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+    const tags = [describeType(propSchema)];
+    // Nested option fields are optional by nature, so only top-level params say so
+    if (required.has(name)) tags.push("required");
+    else if (indent === "  ") tags.push("optional");
+    if (propSchema.default !== undefined) tags.push(`default: ${JSON.stringify(propSchema.default)}`);
+    const description = propSchema.description ? `: ${propSchema.description}` : "";
+    const hasChildren = propSchema.type === "object" && propSchema.properties;
+    lines.push(`${indent}- \`${name}\` (${tags.join(", ")})${description}${hasChildren && !description ? ":" : ""}`);
+    if (hasChildren) lines.push(...renderParams(propSchema, indent + "  "));
+  }
+  return lines;
+};
+
+// Render the Function Reference entries of the system prompt from toolDefinitions
+export const renderFunctionReference = () => {
+  const sections = Object.entries(toolDefinitions).map(([name, definition]) => {
+    const lines = [
+      `### ${name} → \`${definition.signature}\``,
+      `- **Purpose**: ${definition.description}`,
+      "- **Params**:",
+      ...renderParams(definition.parameters, "  ")
+    ];
+    const [firstReturn, ...moreReturns] = definition.returns;
+    if (moreReturns.length > 0 && firstReturn.startsWith("(")) {
+      lines.push(...definition.returns.map(line => `- **Returns** ${line}`));
+    } else {
+      lines.push(`- **Returns**: ${firstReturn}`, ...moreReturns);
+    }
+    if (definition.example) {
+      lines.push("- **Example call**:", "```", JSON.stringify(definition.example, null, 2), "```");
+    }
+    return lines.join("\n");
+  });
+  return sections.join("\n\n");
+};
@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import { silentLogger } from "../tools/logger.js";
+
+// USD per 1M tokens. Model names match exactly or by the longest prefix, so dated snapshots such
+// as "gpt-4.1-2025-04-14" use the "gpt-4.1" entry. Override or extend with the `prices` option or
+// a JSON file of the same shape in CHAI_PRICE_TABLE.
+export const DEFAULT_PRICES = {
+  "gpt-4.1": { input: 2.0, cachedInput: 0.5, output: 8.0 },
+  "gpt-4.1-mini": { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, cachedInput: 0.025, output: 0.4 },
+  "gpt-4o": { input: 2.5, cachedInput: 1.25, output: 10.0 },
+  "gpt-4o-mini": { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  "o4-mini": { input: 1.1, cachedInput: 0.275, output: 4.4 },
+  "o3": { input: 2.0, cachedInput: 0.5, output: 8.0 },
+  "claude-opus-4": { input: 15.0, cachedInput: 1.5, output: 75.0 },
+  "claude-sonnet-4": { input: 3.0, cachedInput: 0.3, output: 15.0 },
+  "claude-3-7-sonnet": { input: 3.0, cachedInput: 0.3, output: 15.0 },
+  "claude-3-5-sonnet": { input: 3.0, cachedInput: 0.3, output: 15.0 },
+  "claude-3-5-haiku": { input: 0.8, cachedInput: 0.08, output: 4.0 },
+  "scripted": { input: 0, output: 0 }
+};
+
+// Fallback when an image's size cannot be read (same flat estimate as the context manager)
+const DEFAULT_IMAGE_TOKENS = 1000;
+
+export const createUsageTotals = () => ({
+  calls: 0,
+  input_tokens: 0,
+  output_tokens: 0,
+  total_tokens: 0,
+  image_tokens: 0, // estimated share of input_tokens spent on screenshots
+  cost_usd: 0 // null once a call used a model without a price
+});
+
+// Default table, then the CHAI_PRICE_TABLE file, then explicit prices
+export const loadPriceTable = (prices = {}, { logger = silentLogger } = {}) => {
+  let filePrices = {};
+  const tablePath = process.env.CHAI_PRICE_TABLE;
+  if (tablePath) {
+    try {
+      filePrices = JSON.parse(fs.readFileSync(path.resolve(tablePath), "utf8"));
+    } catch (error) {
+      logger.warn(`⚠️  Could not read price table ${tablePath}: ${error.message}`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...filePrices, ...prices };
+};
+
+export const findPrice = (priceTable, model) => {
+  if (!model) return null;
+  if (priceTable[model]) return priceTable[model];
+  const prefix = Object.keys(priceTable)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? priceTable[prefix] : null;
+};
+
+// Cost of one model call in USD, or null when the model has no price
+export const computeCost = (price, usage) => {
+  if (!price) return null;
+  const cached = (usage.input_token_details && usage.input_token_details.cache_read) || 0;
+  const cachedPrice = price.cachedInput !== undefined ? price.cachedInput : price.input;
+  return (
+    (usage.input_tokens - cached) * price.input +
+    cached * cachedPrice +
+    usage.output_tokens * price.output
+  ) / 1e6;
+};
+
+// Width and height from a base64 PNG data URL (the IHDR chunk follows the 8-byte signature)
+const pngSize = (url) => {
+  const match = /^data:image\/png;base64,(.+)$/.exec(url);
+  if (!match) return null;
+  const header = Buffer.from(match[1].slice(0, 44), "base64");
+  if (header.length < 24 || header.toString("ascii", 1, 4) !== "PNG") return null;
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+};
+
+// Provider image pricing rules: OpenAI counts 512px tiles after fitting the image into 2048px
+// and 768px on the short side; Anthropic counts width*height/750 after fitting 1568px.
+const imageTokensForSize = (provider, { width, height }) => {
+  if (provider === "openai") {
+    let scale = Math.min(1, 2048 / Math.max(width, height));
+    scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+    const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+    return 85 + 170 * tiles;
+  }
+  const scale = Math.min(1, 1568 / Math.max(width, height));
+  return Math.ceil((width * scale) * (height * scale) / 750);
+};
+
+// Estimated tokens for the images attached to a request
+export const estimateImageTokens = (messages, provider) => messages.reduce((total, message) => {
+  if (!Array.isArray(message.content)) return total;
+  return message.content.reduce((sum, part) => {
+    if (!part || (part.type !== "image_url" && part.type !== "image")) return sum;
+    const url = part.image_url && (typeof part.image_url === "string" ? part.image_url : part.image_url.url);
+    const size = url ? pngSize(url) : null;
+    return sum + (size ? imageTokensForSize(provider, size) : DEFAULT_IMAGE_TOKENS);
+  }, total);
+}, 0);
+
+// Add one model call to running totals
+export const addUsage = (totals, entry) => {
+  totals.calls += 1;
+  totals.input_tokens += entry.input_tokens;
+  totals.output_tokens += entry.output_tokens;
+  totals.total_tokens += entry.total_tokens;
+  totals.image_tokens += entry.image_tokens;
+  totals.cost_usd = totals.cost_usd === null || entry.cost_usd === null ? null : totals.cost_usd + entry.cost_usd;
+  return totals;
+};
+
+// Reason the totals exceed a budget ({ maxTokens, maxCostUsd }), or null while within it
+export const checkBudget = (totals, { maxTokens, maxCostUsd } = {}) => {
+  if (maxTokens && totals.total_tokens >= maxTokens) {
+    return `token budget reached (${totals.total_tokens} of ${maxTokens} tokens)`;
+  }
+  if (maxCostUsd && totals.cost_usd !== null && totals.cost_usd >= maxCostUsd) {
+    return `cost budget reached ($${totals.cost_usd.toFixed(4)} of $${maxCostUsd})`;
+  }
+  return null;
+};
+
+export const formatUsage = (totals) => {
+  const cost = totals.cost_usd === null ? "cost unknown" : `$${totals.cost_usd.toFixed(4)}`;
+  const images = totals.image_tokens ? ` (~${totals.image_tokens} for images)` : "";
+  return `${totals.input_tokens} in${images}, ${totals.output_tokens} out, ${totals.total_tokens} total tokens, ${cost}`;
+};
@@ -0,0 +1,97 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hasMagic } from "glob";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where page.extract and shots.capture save by default; readable even when the workspace is elsewhere
+export const DEFAULT_READ_ONLY_DIRS = [
+  path.resolve(__dirname, "..", "data", "screenshots"),
+  path.resolve(__dirname, "..", "data", "website_extraction")
+];
+
+export const isInside = (target, dir) => {
+  const relative = path.relative(dir, target);
+  return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+};
+
+// Real path of a file that may not exist yet: resolve the nearest existing ancestor, so a
+// symlinked parent directory cannot smuggle a new file out of the workspace
+export const realpathOfNearest = async (absolutePath) => {
+  const missing = [];
+  let current = absolutePath;
+  while (true) {
+    try {
+      return path.join(await fs.realpath(current), ...missing.reverse());
+    } catch (error) {
+      if (error.code !== "ENOENT" && error.code !== "ENOTDIR") throw error;
+      const parent = path.dirname(current);
+      if (parent === current) return absolutePath;
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+};
+
+// Confines tool paths to a root directory. Relative paths resolve against the root; paths that
+// escape it (through "..", absolute paths or symlinks) are rejected, except that reads may also
+// use the read-only directories.
+export class Workspace {
+  constructor({ root = process.env.CHAI_WORKSPACE || process.cwd(), readOnlyDirs = DEFAULT_READ_ONLY_DIRS } = {}) {
+    this.root = path.resolve(root);
+    this.readOnlyDirs = readOnlyDirs.map(dir => path.resolve(this.root, dir));
+  }
+
+  contains(target) {
+    return isInside(target, this.root);
+  }
+
+  // Whether an absolute path really lies inside the root (or, for reads, a read-only directory)
+  async allows(absolutePath, { write = false } = {}) {
+    const realPath = await realpathOfNearest(absolutePath);
+    if (isInside(realPath, await realpathOfNearest(this.root))) return true;
+    if (write) return false;
+    for (const dir of this.readOnlyDirs) {
+      if (isInside(realPath, await realpathOfNearest(dir))) return true;
+    }
+    return false;
+  }
+
+  // Absolute path for a tool argument, or an error the model can act on
+  async resolve(inputPath, { write = false } = {}) {
+    const absolutePath = path.resolve(this.root, String(inputPath === undefined || inputPath === null ? "." : inputPath));
+    if (await this.allows(absolutePath, { write })) return absolutePath;
+
+    const realPath = await realpathOfNearest(absolutePath);
+    const via = realPath !== absolutePath ? ` (resolves to ${realPath})` : "";
+    const readable = !write && this.readOnlyDirs.length > 0 ? ` Reads are also allowed in: ${this.readOnlyDirs.join(", ")}.` : "";
+    throw new Error(`Access denied: "${inputPath}"${via} is outside the workspace ${this.root}. Use a path inside the workspace.${readable}`);
+  }
+
+  async resolveAll(inputPaths, options) {
+    const list = Array.isArray(inputPaths) ? inputPaths : [inputPaths];
+    return await Promise.all(list.map(inputPath => this.resolve(inputPath, options)));
+  }
+
+  // Targets of the search tools: files and directories resolve like other paths, glob patterns
+  // stay relative to the root. What a pattern matches must still be checked with allows().
+  async resolveTargets(targets, options) {
+    const list = Array.isArray(targets) ? targets : [targets];
+    return await Promise.all(list.map(target => {
+      if (!hasMagic(target)) return this.resolve(target, options);
+      this.checkPattern(target);
+      return target;
+    }));
+  }
+
+  // Glob patterns are matched relative to a cwd inside the workspace and may not climb out of it
+  checkPattern(pattern) {
+    const text = String(pattern || "");
+    // Brace alternatives such as "{..,src}" count as path segments too
+    if (path.isAbsolute(text) || text.split(/[\\/{},]/).includes("..")) {
+      throw new Error(`Access denied: glob pattern "${text}" must be relative to the workspace ${this.root} and must not contain "..". Set options.cwd to a directory inside the workspace instead.`);
+    }
+  }
+}
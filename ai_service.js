@@ -1,16 +1,8 @@
-const { ChatOpenAI } = require("@langchain/openai");
+import { createChatModel } from "./agent/providers.js";
 
-async function sendMessageToOpenAI(userMessage) {
-  
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY environment variable");
-  }
-
-  const modelName = process.env.OPENAI_MODEL || "gpt-4.1";
-
-  const model = new ChatOpenAI({
-    model: modelName
-  });
+// Provider and model come from CHAI_PROVIDER / OPENAI_MODEL / ANTHROPIC_MODEL unless overridden
+async function sendMessage(userMessage, options = {}) {
+  const model = createChatModel(options);
 
   const result = await model.invoke(userMessage);
 
@@ -29,17 +21,8 @@ async function sendMessageToOpenAI(userMessage) {
   return "";
 }
 
-async function* streamMessageToOpenAI(userMessage) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY environment variable");
-  }
-
-  const modelName = process.env.OPENAI_MODEL || "gpt-4.1";
-
-  const model = new ChatOpenAI({
-    model: modelName,
-    streaming: true
-  });
+async function* streamMessage(userMessage, options = {}) {
+  const model = createChatModel({ ...options, streaming: true });
 
   const stream = await model.stream(userMessage);
 
@@ -51,5 +34,8 @@ async function* streamMessageToOpenAI(userMessage) {
   }
 }
 
-module.exports = { sendMessageToOpenAI, streamMessageToOpenAI };
+// Original names kept for existing callers; they now honour CHAI_PROVIDER as well
+const sendMessageToOpenAI = sendMessage;
+const streamMessageToOpenAI = streamMessage;
 
+export { sendMessage, streamMessage, sendMessageToOpenAI, streamMessageToOpenAI };
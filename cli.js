@@ -3,63 +3,248 @@
 import dotenv from 'dotenv';
 import readline from 'readline';
 import { WebsiteCloneAgent } from './agent/agent.js';
+import { attachReporter } from './agent/reporters.js';
+import { listSessions, resolveSessionsDir } from './agent/session_store.js';
+import { PermissionPolicy, loadPermissionConfig } from './agent/permissions.js';
+import { Workspace } from './agent/workspace.js';
+import { TerminalReporter } from './ui/terminal_reporter.js';
+import { runHeadless } from './ui/headless.js';
+import { completeSlashCommand, isSlashCommand, runSlashCommand } from './ui/slash_commands.js';
 
 dotenv.config({ path: '.env.local' });
 
-// Create agent instance (keeps session history in memory)
+const args = process.argv.slice(2);
+
+// chai --list-sessions: print saved sessions and exit
+if (args.includes('--list-sessions')) {
+  const sessionsDir = resolveSessionsDir();
+  const sessions = await listSessions(sessionsDir);
+  if (sessions.length === 0) {
+    console.log('No saved sessions.');
+  } else {
+    console.log(`📂 Sessions in ${sessionsDir}:`);
+    sessions.forEach(session => {
+      const status = session.status === 'running' ? ' (interrupted)' : '';
+      console.log(`  ${session.id}  ${session.updatedAt}  ${session.messageCount} messages${status}  ${session.title || ''}`);
+    });
+  }
+  process.exit(0);
+}
+
+// chai run --url <url> / chai --print: one headless task; exits nonzero without a final result
+if (args[0] === 'run' || args.includes('--print')) {
+  process.exit(await runHeadless(args));
+}
+
+const resumeIndex = args.indexOf('--resume');
+const resumeId = resumeIndex !== -1 ? args[resumeIndex + 1] : null;
+if (resumeIndex !== -1 && !resumeId) {
+  console.error('❌ Usage: chai --resume <session-id>  (see chai --list-sessions)');
+  process.exit(1);
+}
+
+let permissionConfig;
+try {
+  permissionConfig = loadPermissionConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Resolves the approval prompt that is waiting for the next input line, if any
+let pendingApproval = null;
+
+// Ask before tool calls the permission policy does not allow outright (see chai.permissions.json)
+const askApproval = ({ tool, params, reason, signal }) => new Promise((resolve) => {
+  reporter.stopSpinner();
+  const detail = tool === 'system.run' ? params.command : JSON.stringify(params).slice(0, 300);
+  console.log(`\n🔐 ${tool} needs approval: ${reason}`);
+  console.log(`   ${detail}`);
+  console.log('   [y] allow once  [a] allow for this session  [n] deny (or "n: <what to do instead>")');
+
+  const finish = (answer) => {
+    pendingApproval = null;
+    rl.setPrompt('You: ');
+    resolve(answer);
+  };
+  // Ctrl+C cancels the run, which also answers the pending question
+  signal?.addEventListener('abort', () => finish('deny'), { once: true });
+  pendingApproval = finish;
+  rl.setPrompt('Approve? ');
+  rl.prompt();
+});
+
+// Map an answer line to an approver decision; null asks again
+const parseApproval = (line) => {
+  const answer = line.trim();
+  if (/^(y|yes)$/i.test(answer)) return 'once';
+  if (/^(a|always)$/i.test(answer)) return 'session';
+  const denial = /^(n|no)\b[:\s]*(.*)$/is.exec(answer);
+  if (denial) return { decision: 'deny', feedback: denial[2].trim() || undefined };
+  return null;
+};
+
+// Create agent instance (history is kept in memory and saved to disk after every step)
+// Provider and model are picked from CHAI_PROVIDER / OPENAI_MODEL / ANTHROPIC_MODEL
+// File tools are confined to the workspace (CHAI_WORKSPACE or the current directory)
+const workspace = new Workspace();
 const agent = new WebsiteCloneAgent({
-  model: process.env.OPENAI_MODEL || 'gpt-4.1',
-  maxSteps: 20
+  maxSteps: 20,
+  streaming: true,
+  verbose: args.includes('--verbose'),
+  workspace,
+  permissions: new PermissionPolicy(permissionConfig, { approver: askApproval, baseDir: workspace.root })
 });
+const reporter = new TerminalReporter();
+attachReporter(agent, reporter);
 
 // Create readline interface
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
-  prompt: 'You: '
+  prompt: 'You: ',
+  completer: completeSlashCommand
 });
 
-console.log('🍵 Chai CLI Chat - Type "exit" to quit');
+// Controller of the run in progress; Ctrl+C aborts it instead of exiting
+let activeRun = null;
+
+// Run (or resume) the agent and report when no final result was produced
+const runAgent = async (userInput) => {
+  activeRun = new AbortController();
+  const { signal } = activeRun;
+  try {
+    const result = userInput === null ? await agent.resume({ signal }) : await agent.run(userInput, { signal });
+    if (result.cancelled) {
+      console.log('AI: Run cancelled. Send a message to continue.');
+    } else if (result.budgetExceeded) {
+      console.log('AI: Stopped by the run budget (CHAI_MAX_TOKENS / CHAI_MAX_COST_USD). Send a message to continue.');
+    } else if (!result.final) {
+      console.log('AI: No final result yet (max steps reached).');
+    }
+  } catch (err) {
+    console.error(`\nAI Error: ${err.message}`);
+  }
+  activeRun = null;
+};
+
+// Messages typed while the agent is busy; they run in order once the current run ends
+const pending = [];
+let busy = false;
+
+// Run a message (null resumes), then everything queued meanwhile, then show the prompt again
+const submit = async (userInput) => {
+  busy = true;
+  await runAgent(userInput);
+  while (true) {
+    // Notes the run never reached are sent as the next message instead of being lost
+    const leftoverNotes = agent.takeSteeringNotes();
+    if (leftoverNotes.length > 0) {
+      console.log('📝 The run ended before your note was used; sending it as the next message');
+      pending.unshift(leftoverNotes.join('\n'));
+    }
+    if (pending.length === 0) break;
+    const next = pending.shift();
+    console.log(`📨 Running queued message${pending.length ? ` (${pending.length} more pending)` : ''}: ${next}`);
+    await runAgent(next);
+  }
+  busy = false;
+  rl.prompt();
+};
+
+console.log('🍵 Chai CLI Chat - Type "exit" to quit, /help for commands');
 console.log('----------------------------------------');
 
-// Display prompt
-rl.prompt();
+if (resumeId) {
+  try {
+    const session = await agent.loadSession(resumeId);
+    console.log(`🔁 Resumed session ${session.id} (${session.messages.length} messages)`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+} else {
+  console.log(`💾 Session: ${agent.sessionId} (resume with: chai --resume ${agent.sessionId})`);
+}
+
+// Pick an interrupted run back up where it stopped, otherwise just show the prompt
+if (agent.hasPendingRun()) {
+  console.log(`↪️  Continuing interrupted run from step ${agent.step + 1}/${agent.maxSteps}`);
+  submit(null);
+} else {
+  rl.prompt();
+}
 
 // Handle user input
 rl.on('line', (input) => {
+  if (pendingApproval) {
+    const answer = parseApproval(input);
+    if (answer) {
+      pendingApproval(answer);
+    } else {
+      console.log('   Please answer y, a or n');
+      rl.prompt();
+    }
+    return;
+  }
+
   const userInput = input.trim();
-  
+
   // Exit condition
   if (userInput.toLowerCase() === 'exit') {
     console.log('Goodbye! 👋');
     rl.close();
     return;
   }
-  
-  // Use the agent (no streaming). Agent logs reasoning/tool calls and final JSON.
-  (async () => {
-    try {
-      console.log('AI: Working...');
-      const result = await agent.run(userInput);
-      if (!result.final) {
-        console.log('AI: No final result yet (max steps reached).');
-      }
-      rl.prompt();
-    } catch (err) {
-      console.error(`\nAI Error: ${err.message}`);
-      rl.prompt();
-    }
-  })();
-  
+
+  if (isSlashCommand(userInput)) {
+    runSlashCommand(userInput, {
+      agent,
+      busy,
+      pending,
+      output: (text) => console.log(text),
+      resume: () => { submit(null); }
+    }).then(() => {
+      if (!busy) rl.prompt();
+    });
+    return;
+  }
+
+  if (!userInput) {
+    if (!busy) rl.prompt();
+    return;
+  }
+
+  // Never start a second run on the same history: queue the message until the current one ends
+  if (busy) {
+    pending.push(userInput);
+    console.log(`⏳ Queued (${pending.length} pending); it runs when the current task ends. Use /steer <note> to adjust the current run instead.`);
+    return;
+  }
+
+  // Reasoning streams live; the reporter prints one line per tool call and the final result
+  submit(userInput);
+
 });
 
-// Handle Ctrl+C
+// Handle Ctrl+C: the first press cancels a running agent, a second one (or one at the prompt) exits
 rl.on('SIGINT', () => {
-  console.log('\nGoodbye! 👋');
+  if (activeRun && !activeRun.signal.aborted) {
+    console.log('\n⏹️  Cancelling the current run... (press Ctrl+C again to quit)');
+    // Cancelling drops queued follow-ups too; they were written for the run being stopped
+    if (pending.length > 0) {
+      console.log(`🗑️  Dropped ${pending.length} queued message(s)`);
+      pending.length = 0;
+    }
+    agent.takeSteeringNotes();
+    activeRun.abort();
+    return;
+  }
+  console.log(`\nGoodbye! 👋 (resume with: chai --resume ${agent.sessionId})`);
   process.exit(0);
 });
 
 // Handle when readline is closed
 rl.on('close', () => {
   process.exit(0);
-});
\ No newline at end of file
+});
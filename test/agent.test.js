@@ -0,0 +1,280 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { WebsiteCloneAgent } from '../agent/agent.js';
+import { PermissionPolicy } from '../agent/permissions.js';
+import { silentLogger } from '../tools/logger.js';
+import { createScriptedAgent, finalReply, makeTempDir, toolResults, writeFiles, writeFixture } from './helpers.js';
+
+const writeCall = (filePath, content) => ({ name: 'files_write', args: { filePath, content } });
+
+test('native tool calls run and their results are answered before the final reply', async (t) => {
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: 'Writing the page.', tool_calls: [writeCall('index.html', '<h1>Hi</h1>\n')] },
+    { content: '', tool_calls: [{ name: 'files_read', args: { filePath: 'index.html' } }] },
+    finalReply('page written')
+  ]);
+
+  const outcome = await agent.run('clone it');
+
+  assert.equal(outcome.final, true);
+  assert.equal(outcome.result.summary, 'page written');
+  assert.equal(await fs.readFile(path.join(workspaceRoot, 'index.html'), 'utf8'), '<h1>Hi</h1>\n');
+  const [written, read] = toolResults(outcome.messages);
+  assert.equal(written.tool, 'files.write');
+  assert.equal(written.ok, true);
+  assert.equal(read.tool, 'files.read');
+  assert.match(JSON.stringify(read.result), /<h1>Hi<\/h1>/);
+});
+
+test('the text protocol parses tool calls out of the reply', async (t) => {
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    JSON.stringify({ tool: 'files.write', id: 'w1', params: { filePath: 'notes.txt', content: 'text mode\n' } }),
+    finalReply('done')
+  ], { toolMode: 'text' });
+
+  const outcome = await agent.run('write a note');
+
+  assert.equal(agent.toolMode, 'text');
+  assert.equal(outcome.final, true);
+  assert.equal(await fs.readFile(path.join(workspaceRoot, 'notes.txt'), 'utf8'), 'text mode\n');
+  const reply = outcome.messages.find(message => message._getType() === 'human' && message.content.includes('"id": "w1"'));
+  assert.ok(reply, 'tool result is sent back as a user message');
+  assert.equal(JSON.parse(reply.content).ok, true);
+});
+
+test('params that do not match the schema are reported field by field and the tool is not run', async (t) => {
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_write', args: { content: 42 } }] },
+    finalReply('gave up')
+  ]);
+  const results = [];
+  agent.on('tool:result', payload => results.push(payload));
+
+  const outcome = await agent.run('write something');
+
+  const [failure] = toolResults(outcome.messages);
+  assert.equal(failure.ok, false);
+  assert.match(failure.error, /Invalid params for files\.write/);
+  const messages = failure.validationErrors.map(error => `${error.path} ${error.message}`).join('\n');
+  assert.match(messages, /filePath is required/);
+  assert.match(messages, /content expected string/);
+  assert.equal(results[0].ok, false);
+  assert.deepEqual(await fs.readdir(workspaceRoot), []);
+});
+
+test('paths outside the workspace are refused', async (t) => {
+  const { agent, dir } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_read', args: { filePath: '../fixture.json' } }] },
+    { content: '', tool_calls: [writeCall('../escaped.txt', 'nope')] },
+    finalReply('blocked')
+  ]);
+
+  const outcome = await agent.run('read outside');
+
+  const [read, write] = toolResults(outcome.messages);
+  assert.equal(read.ok, false);
+  assert.match(read.error, /outside the workspace/);
+  assert.equal(write.ok, false);
+  assert.match(write.error, /outside the workspace/);
+  await assert.rejects(fs.access(path.join(dir, 'escaped.txt')));
+});
+
+test('files.search does not read through a symlinked directory that leads outside the workspace', async (t) => {
+  const outside = await makeTempDir(t);
+  await writeFiles(outside, { 'secret.txt': 'password=hunter2' });
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_search', args: { filePaths: 'linkdir/*.txt', pattern: 'password' } }] },
+    { content: '', tool_calls: [{ name: 'files_search', args: { filePaths: 'linkdir', pattern: 'password' } }] },
+    finalReply('nothing found')
+  ]);
+  await writeFiles(workspaceRoot, { 'notes.txt': 'no secrets here' });
+  await fs.symlink(outside, path.join(workspaceRoot, 'linkdir'));
+
+  const outcome = await agent.run('find passwords');
+
+  const [globbed, walked] = toolResults(outcome.messages);
+  assert.equal(globbed.ok, true);
+  assert.equal(globbed.result.summary.totalMatches, 0);
+  assert.match(globbed.result.summary.errors[0], /secret\.txt: it resolves outside the allowed directories/);
+  assert.doesNotMatch(JSON.stringify(globbed), /hunter2/);
+  assert.equal(walked.ok, false);
+  assert.match(walked.error, /outside the workspace/);
+});
+
+test('files.replaceAll never writes outside the workspace, whether through a symlink or ".."', async (t) => {
+  const outside = await makeTempDir(t);
+  await writeFiles(outside, { 'a.txt': 'old' });
+  const replaceCall = (targets) => ({ name: 'files_replaceAll', args: { targets, searchValue: 'old', replaceValue: 'new' } });
+  const { agent, dir, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [replaceCall('linkdir/*.txt')] },
+    // The parent directory holds the fixture, which contains "old" too
+    { content: '', tool_calls: [replaceCall('..')] },
+    finalReply('stayed inside')
+  ]);
+  await fs.symlink(outside, path.join(workspaceRoot, 'linkdir'));
+  const fixture = await fs.readFile(path.join(dir, 'fixture.json'), 'utf8');
+
+  const outcome = await agent.run('rename everywhere');
+
+  const [linked, climbed] = toolResults(outcome.messages);
+  assert.equal(linked.ok, true);
+  assert.equal(linked.result.applied, false);
+  assert.match(linked.result.summary.errors[0], /a\.txt: it resolves outside the allowed directories/);
+  assert.equal(climbed.ok, false);
+  assert.match(climbed.error, /Access denied: "\.\."/);
+  assert.equal(await fs.readFile(path.join(outside, 'a.txt'), 'utf8'), 'old');
+  assert.equal(await fs.readFile(path.join(dir, 'fixture.json'), 'utf8'), fixture);
+});
+
+test('files.replaceAll asks once for the dry run\'s files and writes exactly those', async (t) => {
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_replaceAll', args: { targets: ['*.html', '../*.json'], searchValue: 'old', replaceValue: 'new' } }] },
+    { content: '', tool_calls: [{ name: 'files_replaceAll', args: { targets: '*.html', searchValue: 'old', replaceValue: 'new' } }] },
+    finalReply('replaced')
+  ]);
+  const asked = [];
+  agent.permissions = new PermissionPolicy({}, {
+    baseDir: workspaceRoot,
+    approver: async ({ reason }) => {
+      asked.push(reason);
+      // A file that appears after the approval is not part of what was approved
+      await writeFiles(workspaceRoot, { 'late.html': 'old' });
+      return 'once';
+    }
+  });
+  await writeFiles(workspaceRoot, { 'index.html': 'old', 'about.html': 'old', 'notes.txt': 'old' });
+
+  const outcome = await agent.run('rename');
+
+  const [escaped, replaced] = toolResults(outcome.messages);
+  assert.equal(escaped.ok, false);
+  assert.match(escaped.error, /Access denied: glob pattern "\.\.\/\*\.json"/);
+  assert.equal(asked.length, 1, 'the refused call never reached the approver');
+  assert.match(asked[0], /about\.html, .*index\.html$/);
+  assert.equal(replaced.result.summary.filesChanged, 2);
+  assert.equal(await fs.readFile(path.join(workspaceRoot, 'index.html'), 'utf8'), 'new');
+  assert.equal(await fs.readFile(path.join(workspaceRoot, 'late.html'), 'utf8'), 'old');
+  assert.equal(await fs.readFile(path.join(workspaceRoot, 'notes.txt'), 'utf8'), 'old');
+});
+
+test('diff shows the changes of the last run and undo reverts them', async (t) => {
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [writeCall('index.html', 'new\n'), writeCall('style.css', 'body {}\n')] },
+    finalReply('edited')
+  ]);
+  await fs.writeFile(path.join(workspaceRoot, 'index.html'), 'old\n');
+
+  await agent.run('edit the page');
+
+  const { entries, patch } = await agent.diff();
+  assert.equal(entries.length, 2);
+  assert.match(patch, /-old\n\+new/);
+  assert.match(patch, /\+body \{\}/);
+
+  const undone = await agent.undo();
+  assert.equal(undone.restored.length, 1);
+  assert.equal(undone.removed.length, 1);
+  assert.equal(await fs.readFile(path.join(workspaceRoot, 'index.html'), 'utf8'), 'old\n');
+  await assert.rejects(fs.access(path.join(workspaceRoot, 'style.css')));
+  assert.match(agent.getHistory().at(-1).content, /reverted the file changes/);
+});
+
+test('runStream yields the events of each step in order and ends with done', async (t) => {
+  const { agent } = await createScriptedAgent(t, [
+    { content: 'Looking first.', tool_calls: [{ name: 'files_exists', args: { filePath: 'index.html' } }] },
+    finalReply('streamed')
+  ]);
+
+  const events = [];
+  for await (const event of agent.runStream('stream it')) events.push(event);
+
+  assert.deepEqual(events.map(event => event.type), [
+    'step:start', 'model:token', 'model:response', 'tool:call', 'tool:result',
+    'step:start', 'model:token', 'model:response', 'final',
+    'done'
+  ]);
+  assert.deepEqual(events.filter(event => event.step).map(event => event.step), [1, 1, 1, 1, 1, 2, 2, 2, 2]);
+  assert.equal(events.at(-1).result.final, true);
+  assert.equal(events.at(-1).result.result.summary, 'streamed');
+});
+
+test('a saved session is loaded back and an interrupted run resumes from its last step', async (t) => {
+  const sessionsDir = await makeTempDir(t);
+  // The fixture runs out after the tool call, which interrupts the run like a crash would
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [writeCall('index.html', 'saved\n')] }
+  ], { sessionsDir });
+
+  await assert.rejects(agent.run('start'), /fixture exhausted/);
+  const saved = agent.getHistory().map(message => [message._getType(), message.content]);
+
+  const resumed = new WebsiteCloneAgent({
+    provider: 'scripted',
+    fixturePath: await writeFixture(await makeTempDir(t), [finalReply('resumed')]),
+    workspaceRoot,
+    sessionsDir,
+    logger: silentLogger
+  });
+  const session = await resumed.loadSession(agent.sessionId);
+
+  assert.equal(session.id, agent.sessionId);
+  assert.deepEqual(resumed.getHistory().map(message => [message._getType(), message.content]), saved);
+  assert.equal(resumed.getHistory()[2].tool_calls[0].name, 'files_write');
+  assert.equal(resumed.hasPendingRun(), true);
+  assert.equal(resumed.step, 1);
+
+  const outcome = await resumed.resume();
+  assert.equal(outcome.final, true);
+  assert.equal(outcome.result.summary, 'resumed');
+  assert.equal(resumed.hasPendingRun(), false);
+  // The resumed run still owns the checkpoint taken before the interruption
+  assert.match((await resumed.diff()).patch, /\+saved/);
+});
+
+test('a second run is refused while one is in progress and steering notes join at the next step', async (t) => {
+  const { agent } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_exists', args: { filePath: 'index.html' } }] },
+    finalReply('steered')
+  ]);
+  const steered = [];
+  let refused;
+  agent.on('tool:call', () => {
+    refused = agent.run('another task').catch(err => err);
+    agent.addSteeringNote('use a dark theme');
+    agent.addSteeringNote('keep the footer');
+  });
+  agent.on('steer', payload => steered.push(payload));
+
+  const outcome = await agent.run('clone it');
+
+  assert.match((await refused).message, /A run is already in progress/);
+  assert.equal(outcome.final, true);
+  assert.deepEqual(steered, [{ step: 2, notes: ['use a dark theme', 'keep the footer'] }]);
+  const types = outcome.messages.map(message => message._getType());
+  const note = outcome.messages.findIndex(message => message._getType() === 'human' && message.content.startsWith('[Note from the user during the run]'));
+  assert.equal(outcome.messages[note].content, '[Note from the user during the run]\nuse a dark theme\nkeep the footer');
+  assert.equal(types[note - 1], 'tool', 'the note follows the answered tool call');
+  assert.equal(types.filter(type => type === 'human').length, 2);
+
+  // Notes that arrive after the last step are handed back instead of being lost
+  agent.addSteeringNote('too late');
+  assert.deepEqual(agent.takeSteeringNotes(), ['too late']);
+  assert.deepEqual(agent.takeSteeringNotes(), []);
+});
+
+test('the default files.read cap follows maxResultChars', async (t) => {
+  const { agent, workspaceRoot } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_read', args: { filePath: 'long.txt' } }] },
+    finalReply('read it')
+  ], { maxResultChars: 3000 });
+  await writeFiles(workspaceRoot, { 'long.txt': 'abcdefghi\n'.repeat(500) });
+
+  const outcome = await agent.run('read the file');
+
+  const [read] = toolResults(outcome.messages);
+  assert.equal(read.result.truncated, true);
+  assert.equal(read.result.content.length, 1999);
+  assert.equal(read.result.nextStartLine, 201);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { apply_patch, parse_patch } from '../tools/read_write_search_file.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+test('apply_patch writes every file when all hunks match', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': 'one\ntwo\nthree\n', 'b.txt': 'alpha\n' });
+
+  const outcome = await apply_patch([
+    { filePath: path.join(dir, 'a.txt'), oldText: 'two\n', newText: '2\n' },
+    { filePath: path.join(dir, 'b.txt'), oldText: 'alpha\n', newText: 'beta\n' },
+    { filePath: path.join(dir, 'new/c.txt'), oldText: '', newText: 'created\n' }
+  ]);
+
+  assert.equal(outcome.applied, true);
+  assert.deepEqual(outcome.summary, { total: 3, applied: 3, failed: 0 });
+  assert.equal(outcome.hunks[0].line, 2);
+  assert.equal(outcome.files.find(file => file.file.endsWith('c.txt')).created, true);
+  assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf8'), 'one\n2\nthree\n');
+  assert.equal(await fs.readFile(path.join(dir, 'b.txt'), 'utf8'), 'beta\n');
+  assert.equal(await fs.readFile(path.join(dir, 'new/c.txt'), 'utf8'), 'created\n');
+});
+
+test('apply_patch keeps file modes and writes through symlinks', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'run.sh': 'echo one\n', 'real.txt': 'one\n' });
+  await fs.chmod(path.join(dir, 'run.sh'), 0o755);
+  await fs.symlink('real.txt', path.join(dir, 'link.txt'));
+
+  await apply_patch([
+    { filePath: path.join(dir, 'run.sh'), oldText: 'one', newText: 'two' },
+    { filePath: path.join(dir, 'link.txt'), oldText: 'one', newText: 'two' }
+  ]);
+
+  assert.equal((await fs.stat(path.join(dir, 'run.sh'))).mode & 0o777, 0o755);
+  assert.equal(await fs.readFile(path.join(dir, 'run.sh'), 'utf8'), 'echo two\n');
+  assert.equal((await fs.lstat(path.join(dir, 'link.txt'))).isSymbolicLink(), true);
+  assert.equal(await fs.readFile(path.join(dir, 'real.txt'), 'utf8'), 'two\n');
+});
+
+test('apply_patch writes nothing when one hunk does not match exactly once', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': 'one\ntwo\n', 'b.txt': 'same\nsame\n' });
+
+  const outcome = await apply_patch([
+    { filePath: path.join(dir, 'a.txt'), oldText: 'one\n', newText: '1\n' },
+    { filePath: path.join(dir, 'b.txt'), oldText: 'same\n', newText: 'other\n' },
+    { filePath: path.join(dir, 'a.txt'), oldText: 'missing\n', newText: '' },
+    { filePath: path.join(dir, 'c.txt'), oldText: '', newText: 'new\n' }
+  ]);
+
+  assert.equal(outcome.applied, false);
+  assert.deepEqual(outcome.summary, { total: 4, applied: 0, failed: 2 });
+  assert.match(outcome.hunks[1].error, /matches 2 times/);
+  assert.match(outcome.hunks[2].error, /not found/);
+  assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf8'), 'one\ntwo\n');
+  assert.equal(await fs.readFile(path.join(dir, 'b.txt'), 'utf8'), 'same\nsame\n');
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['a.txt', 'b.txt']);
+});
+
+test('a dry run reports the hunks without writing', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': 'one\n' });
+
+  const outcome = await apply_patch([{ filePath: path.join(dir, 'a.txt'), oldText: 'one\n', newText: '1\n' }], { dryRun: true });
+
+  assert.equal(outcome.applied, false);
+  assert.equal(outcome.summary.failed, 0);
+  assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf8'), 'one\n');
+});
+
+test('parse_patch turns a unified diff into one edit per hunk', () => {
+  const edits = parse_patch([
+    'diff --git a/src/a.js b/src/a.js',
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -1,3 +1,3 @@',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    ' export { a, b };',
+    '--- /dev/null',
+    '+++ b/src/new.js',
+    '@@ -0,0 +1 @@',
+    '+created',
+    '\\ No newline at end of file'
+  ].join('\n'));
+
+  assert.deepEqual(edits, [
+    { filePath: 'src/a.js', oldText: 'const a = 1;\nconst b = 2;\nexport { a, b };\n', newText: 'const a = 1;\nconst b = 3;\nexport { a, b };\n' },
+    { filePath: 'src/new.js', oldText: '', newText: 'created' }
+  ]);
+});
+
+test('parse_patch ends a hunk at its line counts, so a blank separator is not context', () => {
+  const edits = parse_patch([
+    '--- a/a.txt',
+    '+++ b/a.txt',
+    '@@ -1,2 +1,2 @@',
+    ' keep',
+    '-old',
+    '+new',
+    '',
+    '--- a/b.txt',
+    '+++ b/b.txt',
+    '@@ -1,3 +1,3 @@',
+    ' first',
+    '',
+    '-last',
+    '+LAST'
+  ].join('\n'));
+
+  assert.deepEqual(edits, [
+    { filePath: 'a.txt', oldText: 'keep\nold\n', newText: 'keep\nnew\n' },
+    { filePath: 'b.txt', oldText: 'first\n\nlast\n', newText: 'first\n\nLAST\n' }
+  ]);
+});
+
+test('parse_patch without line counts keeps a blank line only when the hunk goes on', () => {
+  const edits = parse_patch([
+    '--- a/a.txt',
+    '+++ b/a.txt',
+    '@@',
+    ' top',
+    '',
+    '-bottom',
+    '+BOTTOM',
+    '',
+    '--- a/b.txt',
+    '+++ b/b.txt',
+    '@@',
+    '-x',
+    '+y',
+    '',
+    ''
+  ].join('\n'));
+
+  assert.deepEqual(edits, [
+    { filePath: 'a.txt', oldText: 'top\n\nbottom\n', newText: 'top\n\nBOTTOM\n' },
+    { filePath: 'b.txt', oldText: 'x\n', newText: 'y\n' }
+  ]);
+  assert.throws(() => parse_patch('just text'), /No hunks found/);
+});
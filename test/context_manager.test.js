@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIMessage, HumanMessage, SystemMessage, ToolMessage } from '@langchain/core/messages';
+import { ContextManager, estimateTokens } from '../agent/context_manager.js';
+import { ScriptedChatModel } from '../agent/providers.js';
+import { createScriptedAgent, finalReply, makeTempDir } from './helpers.js';
+
+const image = { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } };
+
+test('small results stay inline and large ones are stored under a handle', async (t) => {
+  const storageDir = await makeTempDir(t);
+  const context = new ContextManager({ storageDir, maxResultChars: 500, maxFieldChars: 100 });
+  const small = { ok: true };
+  const large = { html: 'x'.repeat(3000), links: Array.from({ length: 80 }, (_, i) => `/page-${i}`) };
+
+  assert.equal(await context.prepareResult('files.read', small), small);
+
+  const prepared = await context.prepareResult('page.extract', large);
+  assert.match(prepared._handle, /^page-extract-[0-9a-f]{8}$/);
+  assert.match(prepared._note, /Result truncated \(\d+ chars\)/);
+  assert.ok(JSON.stringify(prepared).length < JSON.stringify(large).length);
+  assert.match(prepared.result.html, new RegExp(`truncated \\d+ of 3000 chars; context.read handle "${prepared._handle}" path "html"`));
+  assert.match(prepared.result.links.at(-1), /more items/);
+
+  // A fresh manager (e.g. after resuming the session) reads the stored copy from disk
+  const reloaded = new ContextManager({ storageDir });
+  const page = await reloaded.readResult({ handle: prepared._handle, path: 'html', offset: 2900, length: 200 });
+  assert.deepEqual([page.totalLength, page.length, page.hasMore, page.nextOffset], [3000, 100, false, null]);
+  const item = await reloaded.readResult({ handle: prepared._handle, path: 'links[79]' });
+  assert.equal(item.content, '/page-79');
+  await assert.rejects(reloaded.readResult({ handle: 'nope' }), /Unknown result handle/);
+  await assert.rejects(reloaded.readResult({ handle: prepared._handle, path: 'missing' }), /Path not found/);
+});
+
+test('only the newest screenshots are sent to the model', () => {
+  const context = new ContextManager({ keepImageMessages: 1 });
+  const messages = [
+    new SystemMessage('system'),
+    new HumanMessage({ content: [{ type: 'text', text: 'old' }, image, image] }),
+    new HumanMessage({ content: [{ type: 'text', text: 'new' }, image] })
+  ];
+
+  const view = context.buildModelView(messages);
+
+  assert.deepEqual(view[1].content.map(part => part.type), ['text', 'text']);
+  assert.match(view[1].content[1].text, /2 older screenshot\(s\) removed/);
+  assert.equal(view[2], messages[2]);
+  assert.equal(messages[1].content.length, 3, 'the history itself keeps the images');
+  assert.ok(estimateTokens(messages) > estimateTokens(view));
+});
+
+test('compaction summarizes older turns without separating tool results from their call', async () => {
+  const context = new ContextManager({ tokenBudget: 10, keepRecentMessages: 2 });
+  const call = new AIMessage({ content: '', tool_calls: [{ id: 'c1', name: 'files_read', args: { filePath: 'a' }, type: 'tool_call' }] });
+  const messages = [
+    new SystemMessage('system'),
+    new HumanMessage('clone https://example.com'),
+    new AIMessage('looking'),
+    call,
+    new ToolMessage({ tool_call_id: 'c1', content: 'file content' })
+  ];
+  let transcript;
+
+  const compacted = await context.compact(messages, async (instructions, text) => {
+    transcript = text;
+    return 'the summary';
+  });
+
+  assert.deepEqual(compacted.map(message => message._getType()), ['system', 'human', 'ai', 'tool']);
+  assert.equal(compacted[1].content, '[Conversation summary]\nthe summary');
+  assert.equal(compacted[2], call);
+  assert.match(transcript, /human: clone https:\/\/example\.com\n\nai: looking/);
+  assert.equal(await new ContextManager().compact(messages, () => assert.fail('under budget')), messages);
+});
+
+test('the agent writes summaries with summaryModel and keeps its own fixture for the run', async (t) => {
+  const summaries = new ScriptedChatModel({ responses: ['wrote index.html so far'] });
+  const { agent } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_write', args: { filePath: 'index.html', content: 'x'.repeat(400) } }] },
+    { content: '', tool_calls: [{ name: 'files_exists', args: { filePath: 'index.html' } }] },
+    finalReply('done')
+  ], { summaryModel: summaries, contextTokenBudget: 50, keepRecentMessages: 2 });
+
+  const outcome = await agent.run('clone it');
+
+  assert.equal(outcome.final, true);
+  assert.equal(summaries.index, 1);
+  assert.ok(outcome.messages.some(message => message.content === '[Conversation summary]\nwrote index.html so far'));
+});
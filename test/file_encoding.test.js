@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { decodeText, detectMimeType, isBinaryBuffer } from '../tools/file_encoding.js';
+import { read_file, read_many_files } from '../tools/read_write_search_file.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+const utf16le = (text) => Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+
+test('binary files are recognised by magic number or NUL byte, UTF-16 text by its BOM', () => {
+  assert.equal(isBinaryBuffer(PNG), true);
+  assert.equal(isBinaryBuffer(Buffer.from('text\0more')), true);
+  assert.equal(isBinaryBuffer(Buffer.from('plain text')), false);
+  assert.equal(isBinaryBuffer(utf16le('hello')), false);
+
+  assert.equal(detectMimeType(PNG, 'logo.bin'), 'image/png');
+  assert.equal(detectMimeType(Buffer.from('body {}'), 'style.css'), 'text/css');
+  assert.equal(detectMimeType(Buffer.from([1, 0, 2]), 'data'), 'application/octet-stream');
+  assert.equal(detectMimeType(Buffer.from('notes'), 'README'), 'text/plain');
+});
+
+test('text is decoded by BOM, then UTF-8, then the declared charset, then windows-1252', () => {
+  assert.deepEqual(decodeText(Buffer.from('\uFEFFcafé')), { text: 'café', encoding: 'utf-8', bom: true });
+  assert.deepEqual(decodeText(utf16le('héllo')), { text: 'héllo', encoding: 'utf-16le', bom: true });
+  assert.deepEqual(decodeText(Buffer.from('naïve')), { text: 'naïve', encoding: 'utf-8', bom: false });
+
+  const declared = Buffer.concat([Buffer.from('<meta charset="iso-8859-2"><p>'), Buffer.from([0xb1]), Buffer.from('</p>')]);
+  assert.equal(decodeText(declared).text, '<meta charset="iso-8859-2"><p>ą</p>');
+  assert.equal(decodeText(declared).encoding, 'iso-8859-2');
+
+  assert.deepEqual(decodeText(Buffer.from([0x63, 0x61, 0x66, 0xe9])), { text: 'café', encoding: 'windows-1252', bom: false });
+});
+
+test('an explicit encoding is used as given', () => {
+  assert.equal(decodeText(Buffer.from([0xe9]), 'latin1').text, 'é');
+  assert.equal(decodeText(Buffer.from([0x82, 0xa0]), 'shift_jis').text, 'あ');
+  assert.throws(() => decodeText(Buffer.from('x'), 'no-such-charset'), /Unknown encoding: no-such-charset/);
+});
+
+test('read_file reports binary files without content and returns base64 on request', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'logo.png': PNG });
+
+  const auto = await read_file(path.join(dir, 'logo.png'));
+  assert.equal(auto.binary, true);
+  assert.equal(auto.mimeType, 'image/png');
+  assert.equal(auto.content, '');
+
+  const base64 = await read_file(path.join(dir, 'logo.png'), 'base64');
+  assert.equal(base64.content, PNG.toString('base64'));
+  assert.equal(base64.mimeType, 'image/png');
+});
+
+test('read_file and read_many_files decode legacy and BOM-marked text', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    'bom.txt': Buffer.from('\uFEFFline 1\nline 2\n'),
+    'legacy.html': Buffer.concat([Buffer.from('<meta charset="windows-1251">'), Buffer.from([0xcf, 0xf0, 0xe8])]),
+    'font.woff2': Buffer.from('wOF2\0\0')
+  });
+
+  const bom = await read_file(path.join(dir, 'bom.txt'));
+  assert.equal(bom.content, 'line 1\nline 2\n');
+  assert.equal(bom.bom, true);
+  assert.equal(bom.totalLines, 2);
+
+  const legacy = await read_file(path.join(dir, 'legacy.html'));
+  assert.equal(legacy.encoding, 'windows-1251');
+  assert.match(legacy.content, /При$/);
+
+  const { results, summary } = await read_many_files(['bom.txt', 'legacy.html', 'font.woff2'].map(name => path.join(dir, name)));
+  assert.equal(summary.successful, 3);
+  assert.equal(results[1].content.endsWith('При'), true);
+  assert.deepEqual([results[2].binary, results[2].mimeType], [true, 'font/woff2']);
+});
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WebsiteCloneAgent } from '../agent/agent.js';
+import { silentLogger } from '../tools/logger.js';
+
+// Fresh directory under the OS temp dir, removed again when the test ends
+export const makeTempDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chai-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Write { relativePath: content } below dir, creating parent directories
+export const writeFiles = async (dir, files) => {
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+};
+
+// Fixture file for the scripted provider (see agent/providers.js)
+export const writeFixture = async (dir, responses) => {
+  const fixturePath = path.join(dir, 'fixture.json');
+  await fs.writeFile(fixturePath, JSON.stringify({ responses }));
+  return fixturePath;
+};
+
+// Agent on the scripted provider, replaying `responses` inside a temp
+// workspace; sessions are only persisted when options.sessionsDir is given
+export const createScriptedAgent = async (t, responses, options = {}) => {
+  const dir = await makeTempDir(t);
+  const workspaceRoot = path.join(dir, 'workspace');
+  await fs.mkdir(workspaceRoot);
+  const fixturePath = await writeFixture(dir, responses);
+  const agent = new WebsiteCloneAgent({
+    provider: 'scripted',
+    fixturePath,
+    workspaceRoot,
+    persistSession: options.sessionsDir !== undefined,
+    logger: silentLogger,
+    ...options
+  });
+  return { agent, dir, workspaceRoot };
+};
+
+// Final reply of a fixture, as the model would write it
+export const finalReply = (summary) => JSON.stringify({ final: true, summary });
+
+// Tool message contents of a run, parsed
+export const toolResults = (messages) =>
+  messages.filter(message => message._getType() === 'tool').map(message => JSON.parse(message.content));
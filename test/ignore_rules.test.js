@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { IgnoreRules, findProjectRoot, rulesForWalk } from '../tools/ignore_rules.js';
+import { glob } from '../tools/glob_files.js';
+import { listDirectory } from '../tools/list_directory.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+const names = (matches, cwd) => matches.map(match => path.relative(cwd, match).split(path.sep).join('/')).sort();
+
+test('ignore files are evaluated the way git does', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    '.gitignore': [
+      '# build output',
+      '*.log',
+      '!keep.log',
+      'build/',
+      '/root-only.txt',
+      'docs/**/*.tmp',
+      'vendor/',
+      '!vendor/lib.js'
+    ].join('\n'),
+    'src/.gitignore': '!debug.log\nlocal.txt\n'
+  });
+  const rules = new IgnoreRules(dir);
+  const ignores = (relative, isDirectory = false) => rules.ignores(path.join(dir, relative), isDirectory);
+
+  assert.equal(ignores('app.log'), true);
+  assert.equal(ignores('keep.log'), false);
+  assert.equal(ignores('build', true), true);
+  assert.equal(ignores('build'), false, 'a trailing slash only matches directories');
+  assert.equal(ignores('root-only.txt'), true);
+  assert.equal(ignores('src/root-only.txt'), false, 'a leading slash anchors the pattern');
+  assert.equal(ignores('docs/a/b/c.tmp'), true);
+  assert.equal(ignores('other/c.tmp'), false);
+  assert.equal(ignores('vendor/lib.js'), true, 'nothing inside an ignored directory is re-included');
+  assert.equal(ignores('src/debug.log'), false, 'a nested ignore file overrides the ones above it');
+  assert.equal(ignores('src/local.txt'), true);
+  assert.equal(ignores('local.txt'), false);
+});
+
+test('extra patterns apply everywhere and a .chaiignore is read like a .gitignore', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { '.chaiignore': 'screenshots/\n' });
+  const rules = new IgnoreRules(dir, { patterns: ['node_modules/'] });
+
+  assert.equal(rules.ignores(path.join(dir, 'a/node_modules'), true), true);
+  assert.equal(rules.ignores(path.join(dir, 'screenshots'), true), true);
+  assert.equal(rules.ignores(path.join(dir, 'index.html')), false);
+});
+
+test('a subdirectory is walked with the ignore files of its repository root', async (t) => {
+  const dir = await makeTempDir(t);
+  await fs.mkdir(path.join(dir, '.git'));
+  await writeFiles(dir, {
+    '.gitignore': '*.min.js\ngenerated/\n',
+    'src/app.js': '',
+    'src/app.min.js': '',
+    'generated/out.js': ''
+  });
+
+  assert.equal(findProjectRoot(path.join(dir, 'src')), dir);
+  assert.equal(rulesForWalk(path.join(dir, 'src')).ignores(path.join(dir, 'src/app.min.js')), true);
+
+  const listed = await glob('**/*.js', { cwd: path.join(dir, 'src'), quiet: true });
+  assert.deepEqual(names(listed.matches, path.join(dir, 'src')), ['app.js']);
+  assert.equal(listed.skipped, 1);
+
+  // A directory listed on purpose is shown even though the project ignores it
+  const generated = await glob('*.js', { cwd: path.join(dir, 'generated'), quiet: true });
+  assert.deepEqual(names(generated.matches, path.join(dir, 'generated')), ['out.js']);
+});
+
+test('outside a repository only the listed directory and those below it count', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { '.gitignore': '*.js\n', 'site/index.js': '' });
+
+  assert.equal(findProjectRoot(path.join(dir, 'site')), path.join(dir, 'site'));
+  const listed = await glob('*.js', { cwd: path.join(dir, 'site'), quiet: true });
+  assert.deepEqual(names(listed.matches, path.join(dir, 'site')), ['index.js']);
+});
+
+test('glob and listDirectory skip ignored entries unless respectIgnore is false', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    '.gitignore': 'dist/\n',
+    'index.html': '',
+    'dist/bundle.js': '',
+    'node_modules/pkg/index.js': ''
+  });
+
+  const respected = await glob('**/*', { cwd: dir, quiet: true });
+  assert.deepEqual(names(respected.matches, dir), ['index.html']);
+  assert.equal(respected.skipped, 2);
+
+  const all = await glob('**/*', { cwd: dir, quiet: true, respectIgnore: false, ignore: [] });
+  assert.deepEqual(names(all.matches, dir), ['dist', 'dist/bundle.js', 'index.html', 'node_modules', 'node_modules/pkg', 'node_modules/pkg/index.js']);
+
+  const listed = await listDirectory(dir, { recursive: true });
+  assert.deepEqual(listed.files.map(file => file.relativePath), ['index.html']);
+  assert.deepEqual(listed.directories, []);
+  assert.equal(listed.skipped, 2);
+  const unfiltered = await listDirectory(dir, { recursive: true, respectIgnore: false });
+  assert.deepEqual(unfiltered.files.map(file => file.relativePath).sort(), ['dist/bundle.js', 'index.html', 'node_modules/pkg/index.js']);
+});
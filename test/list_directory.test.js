@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { listDirectory } from '../tools/list_directory.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+// 7 files and 3 directories, 26 bytes, plus a symlink
+const createSite = async (t) => {
+  const dir = await makeTempDir(t);
+  const site = path.join(dir, 'site');
+  await writeFiles(site, {
+    'index.html': '0123456789',
+    'css/style.css': 'abcde',
+    'css/deep/x.css': 'xyz',
+    'img/p1.png': '11',
+    'img/p2.png': '22',
+    'img/p3.png': '33',
+    'img/p4.png': '44'
+  });
+  await fs.symlink('index.html', path.join(site, 'link.html'));
+  return { dir, site };
+};
+
+test('tree output aggregates sizes and file counts per directory', async (t) => {
+  const { site } = await createSite(t);
+
+  const result = await listDirectory(site, { output: 'tree' });
+
+  assert.equal(result.tree, [
+    './ (7 files, 26 B)',
+    '├── css/ (2 files, 8 B)',
+    '│   ├── deep/ (1 file, 3 B)',
+    '│   │   └── x.css (3 B)',
+    '│   └── style.css (5 B)',
+    '├── img/ (4 files, 8 B)',
+    '│   ├── p1.png (2 B)',
+    '│   ├── p2.png (2 B)',
+    '│   ├── p3.png (2 B)',
+    '│   └── p4.png (2 B)',
+    '├── index.html (10 B)',
+    '└── link.html -> index.html'
+  ].join('\n'));
+  assert.deepEqual(
+    [result.path, result.totalFiles, result.totalDirectories, result.totalSize, result.skipped],
+    ['.', 7, 3, 26, 0]
+  );
+});
+
+test('directories at maxDepth are collapsed and large directories summarised', async (t) => {
+  const { site } = await createSite(t);
+
+  const result = await listDirectory(site, { output: 'tree', maxDepth: 1, maxEntries: 2 });
+
+  assert.equal(result.tree, [
+    './ (1 file, 10 B)',
+    '├── css/ (2 entries, not expanded)',
+    '├── img/ (4 entries, not expanded)',
+    '└── … 1 more file (10 B)'
+  ].join('\n'));
+  // Totals only cover what was walked
+  assert.deepEqual([result.totalFiles, result.totalDirectories, result.totalSize], [1, 2, 10]);
+});
+
+test('compact output is JSON with paths relative to relativeTo', async (t) => {
+  const { dir, site } = await createSite(t);
+
+  const result = await listDirectory(site, { output: 'compact', maxDepth: 1, relativeTo: dir });
+
+  assert.equal(result.path, 'site');
+  assert.deepEqual(result.root, {
+    dir: 'site',
+    size: 10,
+    files: 1,
+    entries: [
+      { dir: 'site/css', entries: 2, collapsed: true },
+      { dir: 'site/img', entries: 4, collapsed: true },
+      { file: 'site/index.html', size: 10 },
+      { link: 'site/link.html', target: 'index.html' }
+    ]
+  });
+});
+
+test('compact output lists the first maxEntries entries and counts the rest', async (t) => {
+  const { site } = await createSite(t);
+
+  const { root } = await listDirectory(site, { output: 'compact', maxEntries: 2 });
+
+  assert.deepEqual(root.entries.map(entry => entry.dir || entry.file), ['css', 'img']);
+  assert.deepEqual(root.more, { directories: 0, files: 1, size: 10 });
+  const img = root.entries[1];
+  assert.deepEqual(img.entries, [{ file: 'img/p1.png', size: 2 }, { file: 'img/p2.png', size: 2 }]);
+  assert.deepEqual(img.more, { directories: 0, files: 2, size: 4 });
+});
+
+test('symlinked directories are listed, not walked', async (t) => {
+  const { site } = await createSite(t);
+  await fs.symlink(site, path.join(site, 'loop'));
+
+  const { root } = await listDirectory(site, { output: 'compact' });
+
+  assert.deepEqual(root.entries.find(entry => entry.link === 'loop'), { link: 'loop', target: site });
+  assert.equal(root.files, 7);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { PermissionPolicy, loadPermissionConfig } from '../agent/permissions.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+const write = (filePath) => ['files.write', { filePath, content: 'x' }];
+
+test('reads always run and writes run without asking only inside the output directories', async (t) => {
+  const dir = await makeTempDir(t);
+  const policy = new PermissionPolicy({}, { baseDir: dir });
+
+  assert.deepEqual(await policy.classify('files.read', { filePath: '/etc/passwd' }), { decision: 'allow' });
+  assert.deepEqual(await policy.classify(...write('data/site/index.html')), { decision: 'allow' });
+
+  const outside = await policy.classify(...write('index.html'));
+  assert.equal(outside.decision, 'ask');
+  assert.equal(outside.reason, `writes outside the output directories: ${path.join(dir, 'index.html')}`);
+  assert.deepEqual(outside.scopes, [dir]);
+  assert.equal((await policy.classify(...write('data/../index.html'))).decision, 'ask');
+
+  policy.addOutputDir('site');
+  assert.equal((await policy.classify(...write('site/index.html'))).decision, 'allow');
+});
+
+test('a symlink inside an output directory is judged by where it points', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'src/app.js': '', 'data/readme.txt': '' });
+  await fs.symlink(path.join(dir, 'src'), path.join(dir, 'data', 'src-link'));
+  await fs.symlink(path.join(dir, 'src', 'app.js'), path.join(dir, 'data', 'app.js'));
+  const policy = new PermissionPolicy({}, { baseDir: dir });
+
+  assert.equal((await policy.classify(...write('data/readme.txt'))).decision, 'allow');
+  assert.equal((await policy.classify(...write('data/app.js'))).decision, 'ask');
+  assert.equal((await policy.classify(...write('data/src-link/new.js'))).decision, 'ask');
+  assert.equal((await policy.classify('files.write', {}, { targets: [path.join(dir, 'data', 'src-link', 'app.js')] })).decision, 'ask');
+});
+
+test('shell commands run without asking only when allowlisted and free of metacharacters', async (t) => {
+  const policy = new PermissionPolicy({}, { baseDir: await makeTempDir(t) });
+  const shell = (command) => policy.classify('system.run', { command });
+
+  assert.equal((await shell('git status')).decision, 'allow');
+  assert.equal((await shell('  ls   -la ')).decision, 'allow');
+  assert.equal((await shell('lsof')).decision, 'ask', 'prefixes match whole words');
+  for (const command of ['ls; rm -rf /', 'ls && curl x', 'ls | sh', 'ls > out', 'ls $(whoami)', 'ls `id`', 'git status\nrm x']) {
+    assert.equal((await shell(command)).decision, 'ask', command);
+  }
+  assert.deepEqual(await shell('npm install'), { decision: 'ask', reason: 'shell command is not on the allowlist', scopes: ['npm install'] });
+});
+
+test('the deny and allow lists override the classification', async (t) => {
+  const policy = new PermissionPolicy({ deny: ['files.read'], allow: ['system.run'] }, { baseDir: await makeTempDir(t) });
+
+  assert.deepEqual(await policy.classify('files.read', { filePath: 'a' }), { decision: 'deny', reason: 'files.read is disabled by the permission policy' });
+  assert.deepEqual(await policy.authorize('files.read', { filePath: 'a' }), { reason: 'files.read is disabled by the permission policy' });
+  assert.equal(await policy.authorize('system.run', { command: 'rm -rf build' }), null);
+});
+
+test('without an approver defaultDecision settles the calls that would ask', async (t) => {
+  const baseDir = await makeTempDir(t);
+  const call = write('index.html');
+
+  assert.match((await new PermissionPolicy({}, { baseDir }).authorize(...call)).reason, /approval is required but nobody can be asked in this mode$/);
+  assert.match((await new PermissionPolicy({ defaultDecision: 'deny' }, { baseDir }).authorize(...call)).reason, /; denied by the permission policy$/);
+  assert.equal(await new PermissionPolicy({ defaultDecision: 'allow' }, { baseDir }).authorize(...call), null);
+});
+
+test('the approver allows once, for the session, or denies with feedback', async (t) => {
+  const baseDir = await makeTempDir(t);
+  const answers = ['once', 'session', { decision: 'deny', feedback: 'write to data/ instead' }];
+  const asked = [];
+  const policy = new PermissionPolicy({}, {
+    baseDir,
+    approver: async ({ tool, params, reason }) => {
+      asked.push([tool, params.filePath || params.command, reason]);
+      return answers.shift();
+    }
+  });
+
+  assert.equal(await policy.authorize(...write('a.html')), null);
+  assert.equal(await policy.authorize(...write('b.html')), null);
+  // "session" covers the directory for this tool from now on
+  assert.equal(await policy.authorize(...write('c.html')), null);
+  assert.equal(asked.length, 2);
+
+  const denied = await policy.authorize('system.run', { command: 'npm test' });
+  assert.deepEqual(denied, { reason: 'shell command is not on the allowlist; denied by user', feedback: 'write to data/ instead' });
+  assert.deepEqual(asked.map(([tool]) => tool), ['files.write', 'files.write', 'system.run']);
+});
+
+test('the config file is merged over the defaults and a missing explicit file is an error', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'perms.json': JSON.stringify({ shellAllowlist: ['npm test'] }), 'broken.json': '{' });
+
+  const config = loadPermissionConfig(path.join(dir, 'perms.json'));
+  assert.deepEqual(config.shellAllowlist, ['npm test']);
+  assert.deepEqual(config.outputDirs, ['./data']);
+  assert.equal(config.configPath, path.join(dir, 'perms.json'));
+  assert.throws(() => loadPermissionConfig(path.join(dir, 'missing.json')), /Permissions file not found/);
+  assert.throws(() => loadPermissionConfig(path.join(dir, 'broken.json')), /Invalid permissions file/);
+});
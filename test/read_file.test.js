@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { read_file } from '../tools/read_write_search_file.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+const TEN_LINES = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+test('a whole file is returned untruncated with its line count and hash', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': TEN_LINES });
+
+  const result = await read_file(path.join(dir, 'a.txt'));
+
+  assert.equal(result.content, TEN_LINES);
+  assert.equal(result.totalLines, 10);
+  assert.equal(result.truncated, false);
+  assert.match(result.hash, /^[0-9a-f]{64}$/);
+  assert.equal(result.nextStartLine, undefined);
+});
+
+test('startLine and endLine select a range and point at the next line', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': TEN_LINES });
+
+  const result = await read_file(path.join(dir, 'a.txt'), 'auto', { startLine: 3, endLine: 5, lineNumbers: true });
+
+  assert.equal(result.content, '3| line 3\n4| line 4\n5| line 5');
+  assert.equal(result.startLine, 3);
+  assert.equal(result.endLine, 5);
+  assert.equal(result.truncated, false);
+  assert.equal(result.nextStartLine, 6);
+
+  const tail = await read_file(path.join(dir, 'a.txt'), 'auto', { startLine: 9, endLine: 50 });
+  assert.equal(tail.content, 'line 9\nline 10');
+  assert.equal(tail.endLine, 10);
+  assert.equal(tail.nextStartLine, undefined);
+});
+
+test('maxBytes cuts at a line boundary and reports where to continue', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': TEN_LINES });
+
+  const first = await read_file(path.join(dir, 'a.txt'), 'auto', { maxBytes: 21 });
+
+  assert.equal(first.content, 'line 1\nline 2\nline 3');
+  assert.equal(first.truncated, true);
+  assert.equal(first.nextStartLine, 4);
+
+  const next = await read_file(path.join(dir, 'a.txt'), 'auto', { startLine: first.nextStartLine, maxBytes: 21 });
+  assert.equal(next.content, 'line 4\nline 5\nline 6');
+  assert.equal(next.nextStartLine, 7);
+});
+
+test('a single line longer than maxBytes is cut and continued by byte offset', async (t) => {
+  const dir = await makeTempDir(t);
+  const long = 'x'.repeat(50);
+  await writeFiles(dir, { 'min.css': `${long}\nshort\n` });
+
+  const first = await read_file(path.join(dir, 'min.css'), 'auto', { maxBytes: 16 });
+
+  assert.equal(first.content, 'x'.repeat(16));
+  assert.equal(first.truncated, true);
+  assert.equal(first.nextStartLine, 2);
+  assert.equal(first.nextOffset, 16);
+
+  const rest = await read_file(path.join(dir, 'min.css'), 'auto', { offset: first.nextOffset, length: 34 });
+  assert.equal(rest.content, 'x'.repeat(34));
+  assert.equal(rest.truncated, false);
+  assert.equal(rest.nextOffset, 50);
+});
+
+test('offset and length read a byte range, capped by maxBytes', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': '0123456789' });
+
+  const range = await read_file(path.join(dir, 'a.txt'), 'auto', { offset: 2, length: 5, maxBytes: 3 });
+
+  assert.equal(range.content, '234');
+  assert.equal(range.offset, 2);
+  assert.equal(range.length, 3);
+  assert.equal(range.truncated, true);
+  assert.equal(range.nextOffset, 5);
+});
+
+test('a missing file is reported with its path', async (t) => {
+  const dir = await makeTempDir(t);
+
+  await assert.rejects(read_file(path.join(dir, 'nope.txt')), /Failed to read file: File not found/);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { replace_all } from '../tools/read_write_search_file.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+test('literal replacements change every matching file and leave $ patterns alone', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    'src/a.js': 'oldName(); oldName();\n',
+    'src/b.js': 'const x = oldName;\n',
+    'src/c.js': 'untouched\n'
+  });
+
+  const outcome = await replace_all('src', 'oldName', '$newName', { cwd: dir });
+
+  assert.equal(outcome.applied, true);
+  assert.equal(outcome.summary.filesSearched, 3);
+  assert.equal(outcome.summary.filesChanged, 2);
+  assert.equal(outcome.summary.totalReplacements, 3);
+  assert.equal(await fs.readFile(path.join(dir, 'src/a.js'), 'utf8'), '$newName(); $newName();\n');
+  assert.equal(await fs.readFile(path.join(dir, 'src/b.js'), 'utf8'), 'const x = $newName;\n');
+});
+
+test('regex replacements use capture groups and a dry run only returns diffs', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.css': '.btn { color: red; }\n' });
+
+  const outcome = await replace_all('a.css', 'color: (\\w+)', 'background: $1', { cwd: dir, mode: 'regex', dryRun: true });
+
+  assert.equal(outcome.applied, false);
+  assert.match(outcome.files[0].diff, /--- a\/a\.css\n\+\+\+ b\/a\.css/);
+  assert.match(outcome.files[0].diff, /-\.btn \{ color: red; \}\n\+\.btn \{ background: red; \}/);
+  assert.equal(await fs.readFile(path.join(dir, 'a.css'), 'utf8'), '.btn { color: red; }\n');
+});
+
+test('when one file cannot be written, files already swapped in are restored', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.txt': 'foo a\n', 'b.txt': 'foo b\n', 'c.txt': 'foo c\n' });
+  const rename = fs.rename;
+  let calls = 0;
+  t.mock.method(fs, 'rename', async (...args) => {
+    if (++calls === 2) throw new Error('disk full');
+    return rename(...args);
+  });
+
+  await assert.rejects(replace_all('.', 'foo', 'bar', { cwd: dir }), /Failed to replace content: disk full/);
+  t.mock.restoreAll();
+
+  for (const name of ['a', 'b', 'c']) {
+    assert.equal(await fs.readFile(path.join(dir, `${name}.txt`), 'utf8'), `foo ${name}\n`);
+  }
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['a.txt', 'b.txt', 'c.txt']);
+});
+
+test('a replaced file keeps its mode and a symlink keeps pointing at the file it updates', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'run.sh': 'echo foo\n', 'real.txt': 'foo\n' });
+  await fs.chmod(path.join(dir, 'run.sh'), 0o755);
+  await fs.symlink('real.txt', path.join(dir, 'link.txt'));
+
+  await replace_all(['run.sh', 'link.txt'], 'foo', 'bar', { cwd: dir });
+
+  assert.equal((await fs.stat(path.join(dir, 'run.sh'))).mode & 0o777, 0o755);
+  assert.equal((await fs.lstat(path.join(dir, 'link.txt'))).isSymbolicLink(), true);
+  assert.equal(await fs.readFile(path.join(dir, 'real.txt'), 'utf8'), 'bar\n');
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['link.txt', 'real.txt', 'run.sh']);
+});
+
+test('backups go to one directory and binary or legacy-encoded files are left alone', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    'a.txt': 'café foo\n',
+    'latin1.txt': Buffer.from('caf\xe9 foo\n', 'latin1'),
+    'data.bin': Buffer.from([0, 102, 111, 111, 0])
+  });
+
+  const outcome = await replace_all('.', 'foo', 'bar', { cwd: dir, backup: true });
+
+  assert.equal(outcome.summary.filesChanged, 1);
+  assert.equal(outcome.summary.binaryFilesSkipped, 1);
+  assert.match(outcome.summary.errors.join('\n'), /latin1\.txt: not changed, the file is encoded as/);
+  assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf8'), 'café bar\n');
+  assert.equal(await fs.readFile(path.join(outcome.backupDir, 'a.txt'), 'utf8'), 'café foo\n');
+});
+
+test('an empty search value or invalid regex is rejected before any file is read', async (t) => {
+  const dir = await makeTempDir(t);
+
+  await assert.rejects(replace_all('.', '', 'x', { cwd: dir }), /must not be empty/);
+  await assert.rejects(replace_all('.', '(', 'x', { cwd: dir, mode: 'regex' }), /Invalid regular expression/);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { runShellCommand } from '../tools/run_shell_command.js';
+import { createScriptedAgent, finalReply, makeTempDir, toolResults } from './helpers.js';
+
+// A killed process whose parent is gone may linger as a zombie until it is reaped
+const isRunning = async (pid) => {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8').catch(() => '');
+  return !/^\d+ \(.*\) Z/.test(stat);
+};
+
+const waitUntilStopped = async (pid) => {
+  for (let i = 0; i < 40 && await isRunning(pid); i++) await sleep(50);
+  return !(await isRunning(pid));
+};
+
+// Shell that starts a background sleep, records its pid and waits for it
+const spawnSleeper = (pidFile) => `sleep 30 & echo $! > ${pidFile}; wait`;
+
+const readPid = async (pidFile) => {
+  for (let i = 0; i < 40; i++) {
+    const text = await fs.readFile(pidFile, 'utf8').catch(() => '');
+    if (text.trim()) return Number(text);
+    await sleep(25);
+  }
+  throw new Error('the command did not start');
+};
+
+test('aborting a command stops the processes it started', async (t) => {
+  const dir = await makeTempDir(t);
+  const pidFile = path.join(dir, 'pid');
+  const controller = new AbortController();
+
+  const running = runShellCommand(spawnSleeper(pidFile), { cwd: dir, silent: true, signal: controller.signal });
+  const pid = await readPid(pidFile);
+  controller.abort(new Error('stop'));
+
+  await assert.rejects(running, /stop/);
+  assert.equal(await waitUntilStopped(pid), true);
+});
+
+test('a timed out command is reported and its processes are stopped', async (t) => {
+  const dir = await makeTempDir(t);
+  const pidFile = path.join(dir, 'pid');
+
+  const result = await runShellCommand(spawnSleeper(pidFile), { cwd: dir, silent: true, timeout: 300, retries: 1 });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /timed out after 300ms/);
+  assert.equal(await waitUntilStopped(await readPid(pidFile)), true);
+});
+
+test('an already aborted signal runs nothing', async (t) => {
+  const dir = await makeTempDir(t);
+  const controller = new AbortController();
+  controller.abort(new Error('too late'));
+
+  await assert.rejects(runShellCommand(`touch ${path.join(dir, 'ran')}`, { silent: true, signal: controller.signal }), /too late/);
+  await assert.rejects(fs.access(path.join(dir, 'ran')));
+});
+
+test('cancelling an agent run stops the tool in flight and keeps the history', async (t) => {
+  const { agent } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'system_run', args: { command: 'sleep 30', options: { silent: true } } }] },
+    finalReply('never reached')
+  ]);
+  const controller = new AbortController();
+  const events = [];
+  agent.on('tool:call', () => setImmediate(() => controller.abort()));
+  agent.on('cancel', payload => events.push(payload));
+
+  const started = Date.now();
+  const outcome = await agent.run('run something slow', { signal: controller.signal });
+
+  assert.equal(outcome.cancelled, true);
+  assert.equal(outcome.final, false);
+  assert.ok(Date.now() - started < 10000);
+  assert.deepEqual(events, [{ step: 1 }]);
+  const [result] = toolResults(outcome.messages);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /cancelled by the user/);
+  assert.equal(agent.busy, false);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { search_file_content, search_file_content_stream } from '../tools/read_write_search_file.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+const SOURCE = [
+  'function first() {',
+  '  return 1;',
+  '}',
+  '',
+  'function second() {',
+  '  return 2;',
+  '}'
+].join('\n');
+
+test('literal search escapes regex characters', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.js': SOURCE });
+
+  const { results, summary } = await search_file_content(path.join(dir, 'a.js'), 'first()');
+
+  assert.equal(summary.totalMatches, 1);
+  assert.equal(results[0].line, 1);
+  assert.equal(results[0].match, 'first()');
+});
+
+test('multiline regex matches span lines and report their first and last line', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.js': SOURCE });
+
+  const { results } = await search_file_content(path.join(dir, 'a.js'), 'function \\w+\\(\\) \\{.*?\\}', {
+    mode: 'regex',
+    flags: 's',
+    multiline: true
+  });
+
+  assert.deepEqual(results.map(result => [result.line, result.endLine]), [[1, 3], [5, 7]]);
+  assert.equal(results[1].match, 'function second() {\n  return 2;\n}');
+  assert.equal(results[1].position, 0);
+});
+
+test('^ and $ still match at line boundaries in a multiline search', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.js': SOURCE });
+
+  const { results } = await search_file_content(path.join(dir, 'a.js'), '^\\s+return (\\d);$', { mode: 'regex', multiline: true });
+
+  assert.deepEqual(results.map(result => result.line), [2, 6]);
+  assert.equal(results[0].endLine, undefined);
+});
+
+test('context lines cover the whole multiline match', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.js': SOURCE });
+
+  const { results } = await search_file_content(path.join(dir, 'a.js'), 'return 1;\\n\\}', {
+    mode: 'regex',
+    multiline: true,
+    showContext: true,
+    contextLines: 1
+  });
+
+  assert.deepEqual(results[0].context.map(line => [line.line, line.isMatch]), [[1, false], [2, true], [3, true], [4, false]]);
+});
+
+test('an invalid regex is reported before any file is read', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, { 'a.js': SOURCE });
+
+  await assert.rejects(search_file_content(path.join(dir, 'a.js'), '(', { mode: 'regex' }), /Invalid regular expression/);
+});
+
+test('the stream yields each file with matches, skips binary files and stops at maxMatches', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    'a.txt': 'hit\nhit\n',
+    'b.txt': 'hit\n',
+    'image.bin': Buffer.from([0, 1, 2, 0, 104, 105, 116])
+  });
+
+  const collect = async (options) => {
+    const events = [];
+    for await (const event of search_file_content_stream(dir, 'hit', options)) events.push(event);
+    return events;
+  };
+
+  const all = await collect({});
+  assert.deepEqual(all.filter(event => event.type === 'file').map(event => [path.basename(event.file), event.count]).sort(), [['a.txt', 2], ['b.txt', 1]]);
+  assert.deepEqual(all.filter(event => event.type === 'skipped').map(event => [path.basename(event.file), event.reason]), [['image.bin', 'binary']]);
+  assert.equal(all.at(-1).summary.binaryFilesSkipped, 1);
+
+  const capped = (await collect({ maxMatches: 2 })).at(-1);
+  assert.equal(capped.type, 'done');
+  assert.equal(capped.summary.totalMatches, 2);
+  assert.equal(capped.summary.truncated, true);
+});
+
+test('directories are searched recursively and glob patterns are matched from cwd', async (t) => {
+  const dir = await makeTempDir(t);
+  await writeFiles(dir, {
+    '.gitignore': 'build/\n',
+    'src/app.js': 'hit',
+    'src/lib/util.js': 'hit',
+    'src/lib/util.test.js': 'hit',
+    'src/styles.css': 'hit',
+    'build/app.js': 'hit',
+    'node_modules/pkg/index.js': 'hit'
+  });
+  const files = ({ results }) => [...new Set(results.map(result => path.relative(dir, result.file)))].sort();
+
+  const walked = await search_file_content(path.join(dir, 'src'), 'hit', { cwd: dir, include: ['**/*.js'], exclude: ['**/*.test.js'] });
+  assert.deepEqual(files(walked), ['src/app.js', 'src/lib/util.js']);
+
+  const globbed = await search_file_content('**/*.js', 'hit', { cwd: dir });
+  assert.deepEqual(files(globbed), ['src/app.js', 'src/lib/util.js', 'src/lib/util.test.js']);
+  const unignored = await search_file_content('**/*.js', 'hit', { cwd: dir, respectGitignore: false });
+  assert.deepEqual(files(unignored), ['build/app.js', 'src/app.js', 'src/lib/util.js', 'src/lib/util.test.js']);
+
+  const missing = await search_file_content(['*.md', 'nope.txt'], 'hit', { cwd: dir });
+  assert.deepEqual(missing.summary.errors, ['No files match *.md', `File not found: ${path.join(dir, 'nope.txt')}`]);
+});
+
+test('allowPath drops matches reached through a symlinked directory', async (t) => {
+  const dir = await makeTempDir(t);
+  const outside = await makeTempDir(t);
+  await writeFiles(dir, { 'inside.txt': 'hit' });
+  await writeFiles(outside, { 'secret.txt': 'hit' });
+  await fs.symlink(outside, path.join(dir, 'linkdir'));
+  const allowPath = async (filePath) => (await fs.realpath(filePath)).startsWith(await fs.realpath(dir));
+
+  const followed = await search_file_content('linkdir/*.txt', 'hit', { cwd: dir });
+  assert.equal(followed.summary.totalMatches, 1, 'without a filter the pattern reaches through the link');
+
+  const { results, summary } = await search_file_content(['*.txt', 'linkdir/*.txt'], 'hit', { cwd: dir, allowPath });
+  assert.deepEqual(results.map(result => path.basename(result.file)), ['inside.txt']);
+  assert.deepEqual(summary.errors, [`Skipped ${path.join(dir, 'linkdir', 'secret.txt')}: it resolves outside the allowed directories`]);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SLASH_COMMANDS, completeSlashCommand, isSlashCommand, runSlashCommand } from '../ui/slash_commands.js';
+import { createScriptedAgent, finalReply, makeTempDir } from './helpers.js';
+
+// Run one command line and collect what it printed
+const run = async (line, context) => {
+  const lines = [];
+  await runSlashCommand(line, { pending: [], ...context, output: text => lines.push(text) });
+  return lines;
+};
+
+test('command names complete while the line is a single /word', () => {
+  assert.deepEqual(completeSlashCommand('/he'), [['/help'], '/he']);
+  assert.deepEqual(completeSlashCommand('/S'), [['/steps', '/save', '/steer'], '/S']);
+  assert.deepEqual(completeSlashCommand('/zzz'), [Object.keys(SLASH_COMMANDS), '/zzz']);
+  assert.deepEqual(completeSlashCommand('/steps 3'), [[], '/steps 3']);
+  assert.deepEqual(completeSlashCommand('hello'), [[], 'hello']);
+  assert.equal(isSlashCommand('/help'), true);
+  assert.equal(isSlashCommand('clone /help'), false);
+});
+
+test('unknown commands, bad arguments and failing handlers are reported, not thrown', async (t) => {
+  const { agent } = await createScriptedAgent(t, []);
+
+  assert.deepEqual(await run('/nope', { agent }), ['❌ Unknown command /nope. Type /help for the list.']);
+  assert.deepEqual(await run('/steps zero', { agent }), ['❌ Usage: /steps <positive number>']);
+  agent.maxSteps = 3;
+  assert.deepEqual(await run('/steps', { agent }), ['🔢 Max steps: 3']);
+  const failed = await run('/undo', { agent: { undo: async () => { throw new Error('no checkpoints'); } } });
+  assert.deepEqual(failed, ['❌ /undo failed: no checkpoints']);
+
+  const help = await run('/HELP', { agent });
+  assert.equal(help[0], 'Commands:');
+  assert.equal(help.length, Object.keys(SLASH_COMMANDS).length + 2);
+});
+
+test('only commands marked whileBusy run while the agent is working', async (t) => {
+  const { agent } = await createScriptedAgent(t, []);
+
+  assert.deepEqual(await run('/reset', { agent, busy: true }), ['⏳ /reset is not available while the agent is running (wait, or press Ctrl+C to cancel)']);
+  assert.deepEqual(await run('/steps 7', { agent, busy: true }), ['🔢 Max steps set to 7']);
+  assert.equal(agent.maxSteps, 7);
+
+  const pending = ['first', 'second'];
+  assert.deepEqual(await run('/queue', { agent, busy: true, pending }), ['  1. first', '  2. second']);
+  assert.deepEqual(await run('/queue clear', { agent, busy: true, pending }), ['🗑️  Removed 2 queued message(s)']);
+  assert.deepEqual(pending, []);
+});
+
+test('/history, /reset, /save and /load work on the agent\'s session', async (t) => {
+  const sessionsDir = await makeTempDir(t);
+  const { agent } = await createScriptedAgent(t, [finalReply('cloned the page')], { sessionsDir });
+
+  await agent.run('clone https://example.com');
+  const history = await run('/history', { agent });
+  assert.match(history[0], /^ {2}1 system \(system prompt, \d+ chars\)$/);
+  assert.match(history[1], /^ {2}2 human {2}clone https:\/\/example\.com/);
+
+  const saved = await run('/save', { agent });
+  assert.deepEqual(saved, [`💾 Saved session ${agent.sessionId} (resume with: chai --resume ${agent.sessionId})`]);
+  const sessionId = agent.sessionId;
+
+  const reset = await run('/reset', { agent });
+  assert.notEqual(agent.sessionId, sessionId);
+  assert.deepEqual(reset, [`🧹 Conversation cleared. New session: ${agent.sessionId}`]);
+  assert.deepEqual(await run('/history', { agent }), ['No messages yet.']);
+
+  const listed = await run('/load', { agent });
+  assert.match(listed[0], new RegExp(`^ {2}${sessionId} {2}\\d+ messages`));
+  const loaded = await run(`/load ${sessionId}`, { agent });
+  assert.match(loaded[0], new RegExp(`^🔁 Loaded session ${sessionId} \\(\\d+ messages\\)$`));
+  assert.equal(agent.sessionId, sessionId);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addUsage, checkBudget, computeCost, createUsageTotals, estimateImageTokens, findPrice, formatUsage, loadPriceTable } from '../agent/usage.js';
+import { createScriptedAgent, finalReply } from './helpers.js';
+
+const usage = (input_tokens, output_tokens) => ({ input_tokens, output_tokens, total_tokens: input_tokens + output_tokens });
+
+// PNG header of the given size: signature, IHDR length and type, then width and height
+const png = (width, height) => {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).copy(header);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return { type: 'image_url', image_url: { url: `data:image/png;base64,${header.toString('base64')}` } };
+};
+
+test('prices match by model name or its longest prefix and cached input is cheaper', () => {
+  const table = loadPriceTable({ 'custom-model': { input: 1, output: 2 } });
+
+  assert.equal(findPrice(table, 'gpt-4.1-mini-2025-04-14'), table['gpt-4.1-mini']);
+  assert.equal(findPrice(table, 'custom-model'), table['custom-model']);
+  assert.equal(findPrice(table, 'unknown-model'), null);
+
+  const price = { input: 2, cachedInput: 0.5, output: 8 };
+  assert.equal(computeCost(price, { input_tokens: 1e6, output_tokens: 0 }), 2);
+  assert.equal(computeCost(price, { input_tokens: 1e6, output_tokens: 1e6, input_token_details: { cache_read: 1e6 } }), 8.5);
+  assert.equal(computeCost(null, usage(10, 10)), null);
+});
+
+test('totals add up, an unpriced call makes the cost unknown and budgets are checked', () => {
+  const totals = createUsageTotals();
+  addUsage(totals, { ...usage(1000, 200), image_tokens: 0, cost_usd: 0.01 });
+  addUsage(totals, { ...usage(500, 100), image_tokens: 85, cost_usd: 0.02 });
+
+  assert.deepEqual([totals.calls, totals.total_tokens, totals.image_tokens], [2, 1800, 85]);
+  assert.ok(Math.abs(totals.cost_usd - 0.03) < 1e-12);
+  assert.equal(formatUsage(totals), '1500 in (~85 for images), 300 out, 1800 total tokens, $0.0300');
+  assert.equal(checkBudget(totals, { maxTokens: 2000 }), null);
+  assert.equal(checkBudget(totals, { maxTokens: 1800 }), 'token budget reached (1800 of 1800 tokens)');
+  assert.equal(checkBudget(totals, { maxCostUsd: 0.025 }), 'cost budget reached ($0.0300 of $0.025)');
+
+  addUsage(totals, { ...usage(1, 1), image_tokens: 0, cost_usd: null });
+  assert.equal(totals.cost_usd, null);
+  assert.match(formatUsage(totals), /cost unknown$/);
+  assert.equal(checkBudget(totals, { maxCostUsd: 0.025 }), null);
+});
+
+test('screenshot tokens are estimated with each provider\'s rules', () => {
+  const messages = [{ content: [{ type: 'text', text: 'look' }, png(1280, 720)] }, { content: 'text only' }];
+
+  assert.equal(estimateImageTokens(messages, 'openai'), 85 + 170 * 6);
+  assert.equal(estimateImageTokens(messages, 'anthropic'), Math.ceil(1280 * 720 / 750));
+  assert.equal(estimateImageTokens([{ content: [{ type: 'image_url', image_url: 'not-a-png' }] }], 'openai'), 1000);
+});
+
+test('the agent totals usage per run and session and stops when the run budget is reached', async (t) => {
+  const { agent } = await createScriptedAgent(t, [
+    { content: '', tool_calls: [{ name: 'files_exists', args: { filePath: 'a.html' } }], usage_metadata: usage(600, 100) },
+    { content: '', tool_calls: [{ name: 'files_exists', args: { filePath: 'b.html' } }], usage_metadata: usage(700, 100) },
+    { content: finalReply('done'), usage_metadata: usage(100, 50) }
+  ], { maxTokens: 1000, prices: { scripted: { input: 10, output: 20 } } });
+  const budgets = [];
+  agent.on('budget', payload => budgets.push(payload.reason));
+
+  const stopped = await agent.run('clone it');
+
+  assert.equal(stopped.final, false);
+  assert.equal(stopped.budgetExceeded, 'token budget reached (1500 of 1000 tokens)');
+  assert.deepEqual(budgets, [stopped.budgetExceeded]);
+  assert.equal(agent.step, 2);
+  assert.deepEqual([stopped.usage.calls, stopped.usage.input_tokens, stopped.usage.output_tokens], [2, 1300, 200]);
+  assert.ok(Math.abs(stopped.usage.cost_usd - (1300 * 10 + 200 * 20) / 1e6) < 1e-12);
+
+  // The budget applies per run; the session totals keep counting
+  const finished = await agent.run('finish up');
+  assert.equal(finished.final, true);
+  assert.equal(finished.usage.total_tokens, 150);
+  assert.deepEqual([agent.usage.calls, agent.usage.total_tokens], [3, 1650]);
+});
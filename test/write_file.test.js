@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { read_file, write_file } from '../tools/read_write_search_file.js';
+import { withFileLock, writeFileAtomic } from '../tools/atomic_file.js';
+import { makeTempDir, writeFiles } from './helpers.js';
+
+test('a write with the hash from read_file succeeds and returns the new hash', async (t) => {
+  const dir = await makeTempDir(t);
+  const filePath = path.join(dir, 'a.txt');
+  await writeFiles(dir, { 'a.txt': 'v1\n' });
+
+  const { hash, mtimeMs } = await read_file(filePath);
+  const written = await write_file(filePath, 'v2\n', { expectedHash: hash, expectedMtime: mtimeMs });
+
+  assert.equal(written.operation, 'overwritten');
+  assert.notEqual(written.hash, hash);
+  assert.equal((await read_file(filePath)).hash, written.hash);
+  assert.deepEqual(await fs.readdir(dir), ['a.txt']);
+});
+
+test('a write is refused when the file changed since it was read', async (t) => {
+  const dir = await makeTempDir(t);
+  const filePath = path.join(dir, 'a.txt');
+  await writeFiles(dir, { 'a.txt': 'v1\n' });
+  const { hash, mtimeMs } = await read_file(filePath);
+
+  await fs.writeFile(filePath, 'someone else\n');
+  await fs.utimes(filePath, new Date(), new Date(mtimeMs + 5000));
+
+  await assert.rejects(write_file(filePath, 'mine\n', { expectedHash: hash }), /changed since it was read \(content hash differs\)/);
+  await assert.rejects(write_file(filePath, 'mine\n', { expectedMtime: mtimeMs }), /changed since it was read \(modified /);
+  await assert.rejects(write_file(filePath, 'mine\n', { expectedMtime: 'yesterday' }), /Invalid expectedMtime/);
+  assert.equal(await fs.readFile(filePath, 'utf8'), 'someone else\n');
+  // The lock file is gone again after a refused write
+  assert.deepEqual(await fs.readdir(dir), ['a.txt']);
+});
+
+test('a write is refused when the file was deleted since it was read', async (t) => {
+  const dir = await makeTempDir(t);
+  const filePath = path.join(dir, 'a.txt');
+  await writeFiles(dir, { 'a.txt': 'v1\n' });
+  const { hash } = await read_file(filePath);
+  await fs.rm(filePath);
+
+  await assert.rejects(write_file(filePath, 'mine\n', { expectedHash: hash }), /no longer exists/);
+  await assert.rejects(fs.access(filePath));
+});
+
+test('of two writers holding the same hash only the first one wins', async (t) => {
+  const dir = await makeTempDir(t);
+  const filePath = path.join(dir, 'a.txt');
+  await writeFiles(dir, { 'a.txt': 'v1\n' });
+  const { hash } = await read_file(filePath);
+
+  const outcomes = await Promise.allSettled([
+    write_file(filePath, 'first\n', { expectedHash: hash }),
+    write_file(filePath, 'second\n', { expectedHash: hash })
+  ]);
+
+  assert.deepEqual(outcomes.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+  const winner = outcomes.findIndex(outcome => outcome.status === 'fulfilled');
+  assert.equal(await fs.readFile(filePath, 'utf8'), winner === 0 ? 'first\n' : 'second\n');
+});
+
+test('withFileLock runs updates of one file one at a time and takes over stale locks', async (t) => {
+  const dir = await makeTempDir(t);
+  const filePath = path.join(dir, 'counter.txt');
+  await writeFiles(dir, { 'counter.txt': '0' });
+
+  const increment = () => withFileLock(filePath, async () => {
+    const value = Number(await fs.readFile(filePath, 'utf8'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await fs.writeFile(filePath, String(value + 1));
+  }, { retryDelay: 1 });
+  await Promise.all([increment(), increment(), increment()]);
+  assert.equal(await fs.readFile(filePath, 'utf8'), '3');
+
+  await fs.writeFile(`${filePath}.lock`, '99999\n');
+  await assert.rejects(withFileLock(filePath, async () => {}, { timeout: 20, retryDelay: 5 }), /Timed out after 20ms waiting for the lock/);
+  const old = new Date(Date.now() - 60000);
+  await fs.utimes(`${filePath}.lock`, old, old);
+  assert.equal(await withFileLock(filePath, async () => 'taken over'), 'taken over');
+});
+
+test('atomic writes keep the file mode and write through symlinks', async (t) => {
+  const dir = await makeTempDir(t);
+  const target = path.join(dir, 'script.sh');
+  await writeFiles(dir, { 'script.sh': 'echo 1\n' });
+  await fs.chmod(target, 0o755);
+  await fs.symlink(target, path.join(dir, 'link.sh'));
+
+  await writeFileAtomic(path.join(dir, 'link.sh'), 'echo 2\n');
+
+  assert.equal((await fs.lstat(path.join(dir, 'link.sh'))).isSymbolicLink(), true);
+  assert.equal(await fs.readFile(target, 'utf8'), 'echo 2\n');
+  assert.equal((await fs.stat(target)).mode & 0o777, 0o755);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['link.sh', 'script.sh']);
+});
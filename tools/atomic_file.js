@@ -0,0 +1,73 @@
+// Crash-safe file writes and a lock file for read-modify-write updates.
+// writeFileAtomic writes to a temp file next to the target and renames it into place, so readers
+// see either the old or the new content, never half of it. withFileLock serializes updates of
+// one file across processes with an exclusive <file>.lock; a lock older than staleMs is assumed
+// to belong to a crashed process and is taken over.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+
+export const hashContent = (content, encoding = 'utf8') =>
+  crypto.createHash('sha256').update(typeof content === 'string' ? Buffer.from(content, encoding) : content).digest('hex');
+
+export const writeFileAtomic = async (filePath, content, { encoding = 'utf8' } = {}) => {
+  // Write through symlinks instead of replacing them, and keep the mode of an existing file
+  let target = path.resolve(filePath);
+  let mode;
+  try {
+    target = await fs.realpath(target);
+    mode = (await fs.stat(target)).mode;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const tempPath = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    const handle = await fs.open(tempPath, 'wx', mode);
+    try {
+      await handle.writeFile(content, encoding);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+export const withFileLock = async (filePath, fn, options = {}) => {
+  const { timeout = 10000, staleMs = 30000, retryDelay = 50 } = options;
+  const lockPath = `${path.resolve(filePath)}.lock`;
+  const deadline = Date.now() + timeout;
+
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(`${process.pid}\n`);
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const stats = await fs.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > staleMs) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeout}ms waiting for the lock on ${filePath} (remove ${lockPath} if no other process is running)`);
+      }
+      await sleep(retryDelay);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+};
@@ -0,0 +1,129 @@
+// Binary detection and text decoding shared by the file tools.
+// Binary files are recognised by their magic number or, like git does, by a NUL byte in the first
+// 8000 bytes. Text is decoded by its byte order mark when it has one; otherwise UTF-8 is used if
+// the bytes are valid UTF-8, then the charset the file declares (<meta charset>, <?xml encoding>,
+// @charset), then windows-1252, which is what browsers assume for undeclared legacy pages.
+
+import path from 'path';
+
+// [mime, byte offset, signature]; a string signature is compared as latin1 bytes
+const MAGIC_NUMBERS = [
+  ['image/png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['image/gif', 0, 'GIF87a'],
+  ['image/gif', 0, 'GIF89a'],
+  ['image/webp', 8, 'WEBP'],
+  ['image/avif', 4, 'ftypavif'],
+  ['image/x-icon', 0, [0x00, 0x00, 0x01, 0x00]],
+  ['font/woff', 0, 'wOFF'],
+  ['font/woff2', 0, 'wOF2'],
+  ['font/ttf', 0, [0x00, 0x01, 0x00, 0x00]],
+  ['font/otf', 0, 'OTTO'],
+  ['application/pdf', 0, '%PDF-'],
+  ['application/zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  ['application/gzip', 0, [0x1f, 0x8b]],
+  ['application/wasm', 0, [0x00, 0x61, 0x73, 0x6d]],
+  ['audio/mpeg', 0, 'ID3'],
+  ['audio/ogg', 0, 'OggS'],
+  ['video/webm', 0, [0x1a, 0x45, 0xdf, 0xa3]],
+  ['video/mp4', 4, 'ftyp']
+];
+
+const EXTENSION_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf'
+};
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+const startsWith = (buffer, offset, signature) => {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const detectBom = (buffer) => BOMS.find(bom => startsWith(buffer, 0, bom.bytes)) || null;
+
+// MIME type from the file's magic number, or null
+export const sniffMimeType = (buffer) => {
+  const match = MAGIC_NUMBERS.find(([, offset, signature]) => startsWith(buffer, offset, signature));
+  return match ? match[0] : null;
+};
+
+export const isBinaryBuffer = (buffer) => {
+  // UTF-16 text is full of NUL bytes but announces itself with a BOM
+  const bom = detectBom(buffer);
+  if (bom && bom.encoding !== 'utf-8') return false;
+  return sniffMimeType(buffer) !== null || buffer.subarray(0, 8000).includes(0);
+};
+
+export const detectMimeType = (buffer, filePath = '') =>
+  sniffMimeType(buffer) ||
+  EXTENSION_TYPES[path.extname(filePath).toLowerCase()] ||
+  (isBinaryBuffer(buffer) ? 'application/octet-stream' : 'text/plain');
+
+// Charset a document declares near its start, if any
+const declaredCharset = (buffer) => {
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i) ||
+    head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i) ||
+    head.match(/^@charset\s+"([\w.:-]+)"/);
+  return match ? match[1] : null;
+};
+
+// TextDecoder for a charset label, or null when the label is unknown
+const decoderFor = (label, options = {}) => {
+  try {
+    return new TextDecoder(label, options);
+  } catch {
+    return null;
+  }
+};
+
+// Decode a text buffer. encoding 'auto' detects it as described above; any other Buffer encoding
+// ('utf8', 'latin1', ...) or WHATWG label ('shift_jis', 'windows-1251', ...) is used as given.
+// Returns { text, encoding, bom }; the BOM is not part of text.
+export const decodeText = (buffer, encoding = 'auto') => {
+  if (encoding !== 'auto') {
+    if (Buffer.isEncoding(encoding)) return { text: buffer.toString(encoding), encoding, bom: false };
+    const decoder = decoderFor(encoding);
+    if (!decoder) throw new Error(`Unknown encoding: ${encoding}`);
+    return { text: decoder.decode(buffer), encoding: decoder.encoding, bom: false };
+  }
+
+  const bom = detectBom(buffer);
+  if (bom) {
+    return { text: new TextDecoder(bom.encoding).decode(buffer.subarray(bom.bytes.length)), encoding: bom.encoding, bom: true };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8', bom: false };
+  } catch {
+    const declared = declaredCharset(buffer);
+    const decoder = (declared && decoderFor(declared)) || new TextDecoder('windows-1252');
+    return { text: decoder.decode(buffer), encoding: decoder.encoding, bom: false };
+  }
+};
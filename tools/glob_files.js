@@ -3,12 +3,24 @@
 import { glob as globPattern } from 'glob';
 import path from 'path';
 import fs from 'fs';
+import { createGlobIgnore, rulesForWalk } from './ignore_rules.js';
+import { silentLogger } from './logger.js';
 
+// Skipped by glob() unless options.ignore replaces it, and by recursive file search
+export const DEFAULT_IGNORE = ['node_modules/**', '.git/**', '.vscode/**', '.idea/**', '*.log'];
+
+// Besides the `ignore` globs, whatever .gitignore / .ignore / .chaiignore files ignore is skipped
+// unless respectIgnore is false; they are read from ignoreRoot (default: the nearest directory
+// above cwd that holds .git, else cwd) down.
+// `skipped` counts the ignored entries, with an ignored directory counting once.
 export async function glob(pattern, options = {}) {
+  const logger = options.logger || silentLogger;
   try {
     const {
       cwd = process.cwd(),
-      ignore = ['node_modules/**', '.git/**', '.vscode/**', '.idea/**', '*.log'],
+      ignore = DEFAULT_IGNORE,
+      respectIgnore = true,
+      ignoreRoot,
       dot = false,
       absolute = true,
       maxDepth = undefined,
@@ -27,14 +39,16 @@ export async function glob(pattern, options = {}) {
     }
     
     if (!quiet) {
-      console.log(`🔍 Searching for pattern: ${pattern}`);
-      console.log(`📁 Working directory: ${path.resolve(cwd)}`);
-      console.log(`🚫 Ignoring: ${ignore.join(', ')}`);
+      logger.log(`🔍 Searching for pattern: ${pattern}`);
+      logger.log(`📁 Working directory: ${path.resolve(cwd)}`);
+      logger.log(`🚫 Ignoring: ${ignore.join(', ')}${respectIgnore ? ' + ignore files' : ''}`);
     }
     
+    const skipped = new Set();
+    const rules = respectIgnore ? rulesForWalk(cwd, { root: ignoreRoot }) : null;
     const globOptions = {
       cwd,
-      ignore,
+      ignore: createGlobIgnore(ignore, rules, { onIgnored: entry => skipped.add(entry) }),
       dot,
       absolute,
       nodir: false, // Include directories by default
@@ -46,26 +60,28 @@ export async function glob(pattern, options = {}) {
     if (maxDepth !== undefined && Number.isInteger(maxDepth) && maxDepth > 0) {
       globOptions.maxDepth = maxDepth;
       if (!quiet) {
-        console.log(`📏 Max depth: ${maxDepth}`);
+        logger.log(`📏 Max depth: ${maxDepth}`);
       }
     }
     
     const files = await globPattern(pattern, globOptions);
     
     if (!quiet) {
-      console.log(`✅ Found ${files.length} matches`);
+      logger.log(`✅ Found ${files.length} matches`);
+      if (skipped.size > 0) logger.log(`🙈 Skipped ${skipped.size} ignored entries`);
     }
     
     return {
       pattern,
       matches: files,
       count: files.length,
-      options: globOptions,
+      skipped: skipped.size,
+      options: { ...globOptions, ignore, respectIgnore },
       timestamp: new Date().toISOString()
     };
     
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    logger.error(`❌ Error: ${error.message}`);
     throw new Error(`Failed to glob files: ${error.message}`);
   }
 }
@@ -95,10 +111,11 @@ const getFileStats = async (filePath) => {
 
 // Enhanced glob with file information
 export async function globWithStats(pattern, options = {}) {
+  const logger = options.logger || silentLogger;
   const result = await glob(pattern, options);
   
   if (!options.quiet) {
-    console.log('📊 Gathering file statistics...');
+    logger.log('📊 Gathering file statistics...');
   }
   
   const filesWithStats = await Promise.all(
@@ -134,6 +151,7 @@ const main = async () => {
     console.log('Options:');
     console.log('  --cwd=PATH          Working directory to search from (default: current directory)');
     console.log('  --ignore=PATTERN    Additional patterns to ignore (can be used multiple times)');
+    console.log('  --no-ignore-files   Do not skip what .gitignore, .ignore and .chaiignore ignore');
     console.log('  --include-dot       Include hidden files/directories (starting with .)');
     console.log('  --relative          Show relative paths instead of absolute');
     console.log('  --max-depth=N       Maximum directory depth to search');
@@ -153,6 +171,7 @@ const main = async () => {
     console.log('');
     console.log('Default ignored patterns:');
     console.log('  node_modules/**, .git/**, .vscode/**, .idea/**, *.log');
+    console.log('  plus whatever .gitignore, .ignore and .chaiignore files ignore');
     
     if (args.length === 0) {
       console.log('\n❌ Please provide a glob pattern to search for.');
@@ -165,7 +184,8 @@ const main = async () => {
   
   // Parse options
   const options = {
-    ignore: ['node_modules/**', '.git/**', '.vscode/**', '.idea/**', '*.log']
+    ignore: ['node_modules/**', '.git/**', '.vscode/**', '.idea/**', '*.log'],
+    logger: console
   };
   
   let outputFormat = 'list';
@@ -179,6 +199,8 @@ const main = async () => {
       options.cwd = arg.split('=')[1];
     } else if (arg.startsWith('--ignore=')) {
       options.ignore.push(arg.split('=')[1]);
+    } else if (arg === '--no-ignore-files') {
+      options.respectIgnore = false;
     } else if (arg === '--include-dot') {
       options.dot = true;
     } else if (arg === '--relative') {
@@ -245,7 +267,7 @@ const main = async () => {
       console.log('\n📋 SEARCH RESULTS:');
       console.log('==================');
       console.log(`⏱️  Search completed in ${duration}ms`);
-      console.log(`📊 Found ${result.count} matches\n`);
+      console.log(`📊 Found ${result.count} matches${result.skipped ? ` (${result.skipped} ignored entries skipped)` : ''}\n`);
       
       if (outputFormat === 'table' && includeStats) {
         console.log('📁 Path'.padEnd(50) + '📏 Size'.padEnd(12) + '📅 Modified');
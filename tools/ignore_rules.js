@@ -0,0 +1,173 @@
+// .gitignore-style ignore rules shared by the file tools.
+// Rules come from ignore files (.gitignore, .ignore and the project's own .chaiignore) in the root
+// directory and in every directory below it (a nested file applies to its own directory and
+// overrides the files above it), evaluated the way git does: the last matching pattern wins, "!"
+// re-includes, a trailing "/" only matches directories, and nothing inside an ignored directory
+// can be re-included.
+
+import fs from 'fs';
+import path from 'path';
+import { Ignore } from 'glob';
+
+export const DEFAULT_IGNORE_FILES = ['.gitignore', '.ignore', '.chaiignore'];
+
+// Skipped wherever they are, like glob_files.js's DEFAULT_IGNORE but in ignore-file syntax
+export const DEFAULT_IGNORE_PATTERNS = ['node_modules/', '.git/', '.vscode/', '.idea/', '*.log'];
+
+// Translate one gitignore glob into a RegExp source matching a path relative to its base dir
+const patternToRegex = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atStart = i === 0 || pattern[i - 1] === '/';
+        const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+        if (atStart && atEnd) {
+          // "**/" matches zero or more directories; a trailing "**" matches everything inside
+          source += i + 2 === pattern.length ? '.*' : '(?:.*/)?';
+          i += 2;
+          continue;
+        }
+      }
+      source += '[^/]*';
+      while (pattern[i + 1] === '*') i++;
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+};
+
+// Parse the text of an ignore file into rules { negate, dirOnly, regex }
+export const parseIgnoreFile = (text) => text.split(/\r?\n/).flatMap(rawLine => {
+  let line = rawLine.replace(/(?<!\\)\s+$/, '');
+  if (!line || line.startsWith('#')) return [];
+  const negate = line.startsWith('!');
+  if (negate) line = line.slice(1);
+  if (line.startsWith('\\#') || line.startsWith('\\!')) line = line.slice(1);
+  const dirOnly = line.endsWith('/');
+  if (dirOnly) line = line.slice(0, -1);
+  // A slash anywhere but the end anchors the pattern to the ignore file's directory
+  const anchored = line.includes('/');
+  line = line.replace(/^\//, '');
+  if (!line) return [];
+  const body = patternToRegex(line);
+  return [{ negate, dirOnly, regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`) }];
+});
+
+export class IgnoreRules {
+  constructor(rootDir, { ignoreFiles = DEFAULT_IGNORE_FILES, patterns = [] } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.ignoreFiles = ignoreFiles;
+    this.extraRules = parseIgnoreFile(patterns.join('\n'));
+    this.rulesByDir = new Map();
+    this.decisions = new Map();
+  }
+
+  // Rules of the ignore files in one directory, read once
+  rulesFor(dir) {
+    if (!this.rulesByDir.has(dir)) {
+      const rules = this.ignoreFiles.flatMap(name => {
+        try {
+          return parseIgnoreFile(fs.readFileSync(path.join(dir, name), 'utf8'));
+        } catch {
+          return [];
+        }
+      });
+      this.rulesByDir.set(dir, rules);
+    }
+    return this.rulesByDir.get(dir);
+  }
+
+  // Outcome of the rules of one directory for a path below it: true, false, or null (no match)
+  matchIn(dir, rules, absolutePath, isDirectory) {
+    const relative = path.relative(dir, absolutePath).split(path.sep).join('/');
+    let decision = null;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.regex.test(relative)) decision = !rule.negate;
+    }
+    return decision;
+  }
+
+  // True when the path (absolute, inside rootDir) is ignored
+  ignores(absolutePath, isDirectory = false) {
+    const target = path.resolve(absolutePath);
+    const relative = path.relative(this.rootDir, target);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return false;
+
+    const key = `${isDirectory ? 'd' : 'f'}:${target}`;
+    if (this.decisions.has(key)) return this.decisions.get(key);
+
+    // Nothing inside an ignored directory can be re-included
+    const parent = path.dirname(target);
+    let ignored = parent !== this.rootDir && this.ignores(parent, true);
+    if (!ignored) {
+      let decision = this.matchIn(this.rootDir, this.extraRules, target, isDirectory);
+      let dir = this.rootDir;
+      for (const segment of path.relative(this.rootDir, parent).split(path.sep).filter(Boolean).concat([null])) {
+        const rules = this.rulesFor(dir);
+        const outcome = rules.length ? this.matchIn(dir, rules, target, isDirectory) : null;
+        if (outcome !== null) decision = outcome;
+        if (segment === null) break;
+        dir = path.join(dir, segment);
+      }
+      ignored = decision === true;
+    }
+    this.decisions.set(key, ignored);
+    return ignored;
+  }
+}
+
+// The project a directory belongs to: the nearest directory at or above it that holds .git,
+// or the directory itself outside a repository
+export const findProjectRoot = (dir) => {
+  const start = path.resolve(dir);
+  for (let current = start; ; current = path.dirname(current)) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+    if (path.dirname(current) === current) return start;
+  }
+};
+
+// Rules for walking `dir`. They are read from `root` (default: the project root) down, so the
+// ignore files of every parent directory apply, unless `dir` is outside root or is itself ignored
+// there: a directory that is walked on purpose is listed even when the project ignores it.
+export const rulesForWalk = (dir, { root = findProjectRoot(dir), patterns = [] } = {}) => {
+  const target = path.resolve(dir);
+  const relative = path.relative(path.resolve(root), target);
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    const projectRules = new IgnoreRules(root, { patterns });
+    if (!projectRules.ignores(target, true)) return projectRules;
+  }
+  return new IgnoreRules(target, { patterns });
+};
+
+// glob `ignore` option combining plain glob patterns (like glob_files.js's default list) with
+// ignore-file rules. `onIgnored` is called once for every file or directory that is skipped.
+export const createGlobIgnore = (globPatterns, rules, { onIgnored } = {}) => {
+  const patterns = new Ignore(globPatterns, {});
+  const skip = (p, isDirectory) => {
+    const ignored = isDirectory
+      ? patterns.childrenIgnored(p) || (rules && rules.ignores(p.fullpath(), true))
+      : patterns.ignored(p) || (rules && rules.ignores(p.fullpath(), p.isDirectory()));
+    if (ignored && onIgnored) onIgnored(p.fullpath());
+    return Boolean(ignored);
+  };
+  return {
+    ignored: p => skip(p, false),
+    childrenIgnored: p => skip(p, true)
+  };
+};
@@ -3,6 +3,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { glob as globPattern } from 'glob';
+import { DEFAULT_IGNORE_PATTERNS, createGlobIgnore, rulesForWalk } from './ignore_rules.js';
+import { silentLogger } from './logger.js';
 
 // Helper function to format file size
 const formatFileSize = (bytes) => {
@@ -18,17 +20,172 @@ const formatDate = (date) => {
   return date.toISOString().replace('T', ' ').substring(0, 19);
 };
 
-// Main function to list directory contents
+// Compare two items for sorting by name, size or date
+const compareItems = (a, b, sortBy, sortOrder) => {
+  let comparison = 0;
+  
+  switch (sortBy) {
+    case 'size':
+      comparison = a.size - b.size;
+      break;
+    case 'date':
+      comparison = a.modified.getTime() - b.modified.getTime();
+      break;
+    case 'name':
+    default:
+      comparison = a.name.localeCompare(b.name);
+      break;
+  }
+  
+  return sortOrder === 'desc' ? -comparison : comparison;
+};
+
+// Walk a directory into nested nodes; directories carry the total size and file count of
+// everything below them. Directories at maxDepth are not read further: they become collapsed
+// nodes with only the number of entries directly inside them, and their contents are not part
+// of the totals. Symbolic links are listed with their target and never followed.
+const buildTree = async (dirPath, options, depth = 0) => {
+  const { showHidden, filter, rules, skipped, logger, maxDepth } = options;
+  const stat = await fs.stat(dirPath);
+  const node = { name: path.basename(dirPath), path: dirPath, isDirectory: true, size: 0, modified: stat.mtime, fileCount: 0, dirCount: 0, children: [] };
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    node.error = error.message;
+    return node;
+  }
+  
+  const collapsed = maxDepth !== null && depth >= maxDepth;
+  if (collapsed) node.entryCount = 0;
+  for (const entry of entries) {
+    if (!showHidden && entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dirPath, entry.name);
+    if (rules && rules.ignores(fullPath, entry.isDirectory())) {
+      skipped.add(fullPath);
+      continue;
+    }
+    if (collapsed) {
+      node.entryCount++;
+    } else if (entry.isDirectory()) {
+      const child = await buildTree(fullPath, options, depth + 1);
+      node.children.push(child);
+      node.size += child.size;
+      node.fileCount += child.fileCount;
+      node.dirCount += child.dirCount + 1;
+    } else {
+      if (filter && path.extname(entry.name).toLowerCase() !== filter.toLowerCase()) continue;
+      try {
+        if (entry.isSymbolicLink()) {
+          const linkStat = await fs.lstat(fullPath);
+          node.children.push({ name: entry.name, path: fullPath, isDirectory: false, link: await fs.readlink(fullPath), size: 0, modified: linkStat.mtime });
+          continue;
+        }
+        const fileStat = await fs.stat(fullPath);
+        node.children.push({ name: entry.name, path: fullPath, isDirectory: false, size: fileStat.size, modified: fileStat.mtime });
+        node.size += fileStat.size;
+        node.fileCount++;
+      } catch (error) {
+        logger.log(`⚠️  Warning: Could not access '${entry.name}': ${error.message}`);
+      }
+    }
+  }
+  return node;
+};
+
+// Children to show for a directory (directories first) and a summary of those beyond maxEntries
+const visibleChildren = (node, { sortBy, sortOrder, maxEntries }) => {
+  const sorted = [...node.children].sort((a, b) =>
+    (b.isDirectory - a.isDirectory) || compareItems(a, b, sortBy, sortOrder));
+  const hidden = sorted.slice(maxEntries);
+  const more = hidden.length === 0 ? null : {
+    directories: hidden.filter(child => child.isDirectory).length,
+    files: hidden.reduce((count, child) => count + (child.isDirectory ? child.fileCount : child.link ? 0 : 1), 0),
+    size: hidden.reduce((size, child) => size + child.size, 0)
+  };
+  return { shown: sorted.slice(0, maxEntries), more };
+};
+
+const countLabel = (count, singular, plural = `${singular}s`) => `${count} ${count === 1 ? singular : plural}`;
+
+const describeMore = (more) => {
+  const parts = [];
+  if (more.directories) parts.push(countLabel(more.directories, 'more directory', 'more directories'));
+  if (more.files) parts.push(countLabel(more.files, 'more file'));
+  return `… ${parts.join(' and ') || 'more'} (${formatFileSize(more.size)})`;
+};
+
+// Indented tree with aggregated sizes; directories deeper than maxDepth are shown collapsed
+const renderTree = (root, label, options) => {
+  const describeDir = (node, name) => {
+    const summary = node.entryCount === undefined
+      ? `${countLabel(node.fileCount, 'file')}, ${formatFileSize(node.size)}`
+      : `${countLabel(node.entryCount, 'entry', 'entries')}, not expanded`;
+    return `${name}/ (${summary})${node.error ? ` ⚠️  ${node.error}` : ''}`;
+  };
+  const describeEntry = (node) => {
+    if (node.isDirectory) return describeDir(node, node.name);
+    return node.link === undefined ? `${node.name} (${formatFileSize(node.size)})` : `${node.name} -> ${node.link}`;
+  };
+  const lines = [describeDir(root, label)];
+  
+  const walk = (node, prefix) => {
+    const { shown, more } = visibleChildren(node, options);
+    const rows = shown.map(child => ({ child, text: describeEntry(child) }));
+    if (more) rows.push({ text: describeMore(more) });
+    rows.forEach((row, index) => {
+      const last = index === rows.length - 1;
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${row.text}`);
+      if (row.child && row.child.isDirectory && row.child.children.length > 0) {
+        walk(row.child, `${prefix}${last ? '    ' : '│   '}`);
+      }
+    });
+  };
+  walk(root, '');
+  return lines.join('\n');
+};
+
+// The same tree as JSON with paths relative to relativeTo and sizes in bytes
+const compactTree = (root, relativeTo, options) => {
+  const relative = (node) => path.relative(relativeTo, node.path).split(path.sep).join('/') || '.';
+  const convert = (node) => {
+    if (node.link !== undefined) return { link: relative(node), target: node.link };
+    if (!node.isDirectory) return { file: relative(node), size: node.size };
+    if (node.entryCount !== undefined) return { dir: relative(node), entries: node.entryCount, collapsed: true };
+    const compact = { dir: relative(node), size: node.size, files: node.fileCount };
+    if (node.error) compact.error = node.error;
+    const { shown, more } = visibleChildren(node, options);
+    compact.entries = shown.map(convert);
+    if (more) compact.more = more;
+    return compact;
+  };
+  return convert(root);
+};
+
+// Main function to list directory contents.
+// Unless respectIgnore is false, entries ignored by .gitignore / .ignore / .chaiignore files (read
+// from ignoreRoot down, default: the nearest directory above that holds .git, so the project's
+// ignore files apply to its subdirectories) and DEFAULT_IGNORE_PATTERNS such as node_modules are
+// left out; `skipped` counts them, with an ignored directory counting once.
+// output 'tree' and 'compact' walk the directory down to maxDepth (default: all the way): 'tree'
+// renders an indented tree with per-directory file counts and sizes, 'compact' returns it as JSON
+// with paths relative to relativeTo (default: the listed directory). Directories with more than
+// maxEntries entries show the first ones and summarise the rest; totals only cover what was walked.
 const listDirectory = async (dirPath, options = {}) => {
   const {
     recursive = false,
     showHidden = false,
+    respectIgnore = true,
+    ignoreRoot,
     showStats = false,
     sortBy = 'name', // name, size, date
     sortOrder = 'asc', // asc, desc
     filter = null, // file extension filter like '.js', '.json'
     maxDepth = null,
-    output = 'list' // list, json, table
+    maxEntries = 20,
+    relativeTo = dirPath,
+    output = 'list', // list, json, table, tree, compact
+    logger = silentLogger
   } = options;
 
   try {
@@ -48,10 +205,36 @@ const listDirectory = async (dirPath, options = {}) => {
       throw error;
     }
     
-    console.log('📁 Listing directory:', absolutePath);
-    console.log('⚙️  Settings:', { recursive, showHidden, showStats });
+    logger.log('📁 Listing directory:', absolutePath);
+    logger.log('⚙️  Settings:', { recursive, showHidden, showStats, respectIgnore });
     
     let items = [];
+    const skipped = new Set();
+    const rules = respectIgnore ? rulesForWalk(absolutePath, { root: ignoreRoot, patterns: DEFAULT_IGNORE_PATTERNS }) : null;
+    
+    if (output === 'tree' || output === 'compact') {
+      const root = await buildTree(absolutePath, { showHidden, filter, rules, skipped, logger, maxDepth });
+      const treeOptions = { sortBy, sortOrder, maxEntries };
+      const base = path.resolve(relativeTo);
+      const result = {
+        path: path.relative(base, absolutePath).split(path.sep).join('/') || '.',
+        totalFiles: root.fileCount,
+        totalDirectories: root.dirCount,
+        totalSize: root.size,
+        skipped: skipped.size
+      };
+      if (output === 'tree') {
+        result.tree = renderTree(root, result.path, treeOptions);
+        logger.log(`\n${result.tree}`);
+      } else {
+        result.root = compactTree(root, base, treeOptions);
+        logger.log(JSON.stringify(result.root, null, 2));
+      }
+      if (skipped.size > 0) {
+        logger.log(`🙈 Skipped: ${skipped.size} ignored entries (use --no-ignore to include them)`);
+      }
+      return result;
+    }
     
     if (recursive) {
       const globOptions = { 
@@ -60,6 +243,9 @@ const listDirectory = async (dirPath, options = {}) => {
         mark: true,
         absolute: false
       };
+      if (rules) {
+        globOptions.ignore = createGlobIgnore([], rules, { onIgnored: entry => skipped.add(entry) });
+      }
       
       if (maxDepth !== null) {
         globOptions.maxDepth = maxDepth;
@@ -93,7 +279,7 @@ const listDirectory = async (dirPath, options = {}) => {
           
           items.push(itemInfo);
         } catch (error) {
-          console.log(`⚠️  Warning: Could not access '${item}': ${error.message}`);
+          logger.log(`⚠️  Warning: Could not access '${item}': ${error.message}`);
         }
       }
     } else {
@@ -106,6 +292,10 @@ const listDirectory = async (dirPath, options = {}) => {
         }
         
         const fullPath = path.join(absolutePath, item.name);
+        if (rules && rules.ignores(fullPath, item.isDirectory())) {
+          skipped.add(fullPath);
+          continue;
+        }
         try {
           const stat = await fs.stat(fullPath);
           const itemInfo = {
@@ -129,30 +319,13 @@ const listDirectory = async (dirPath, options = {}) => {
           
           items.push(itemInfo);
         } catch (error) {
-          console.log(`⚠️  Warning: Could not access '${item.name}': ${error.message}`);
+          logger.log(`⚠️  Warning: Could not access '${item.name}': ${error.message}`);
         }
       }
     }
     
     // Sort items
-    items.sort((a, b) => {
-      let comparison = 0;
-      
-      switch (sortBy) {
-        case 'size':
-          comparison = a.size - b.size;
-          break;
-        case 'date':
-          comparison = a.modified.getTime() - b.modified.getTime();
-          break;
-        case 'name':
-        default:
-          comparison = a.name.localeCompare(b.name);
-          break;
-      }
-      
-      return sortOrder === 'desc' ? -comparison : comparison;
-    });
+    items.sort((a, b) => compareItems(a, b, sortBy, sortOrder));
     
     // Separate files and directories
     const files = items.filter(item => item.isFile);
@@ -163,19 +336,19 @@ const listDirectory = async (dirPath, options = {}) => {
       totalItems: items.length,
       filesCount: files.length,
       directoriesCount: directories.length,
+      skipped: skipped.size,
       files: files,
-      directories: directories,
-      options: options
+      directories: directories
     };
     
     // Output results based on format
     if (output === 'json') {
-      console.log(JSON.stringify(result, null, 2));
+      logger.log(JSON.stringify(result, null, 2));
     } else if (output === 'table' && showStats) {
-      console.log('\n📊 DIRECTORY CONTENTS:');
-      console.log('='.repeat(80));
-      console.log('Type'.padEnd(4) + ' | ' + 'Name'.padEnd(40) + ' | ' + 'Size'.padEnd(10) + ' | ' + 'Modified');
-      console.log('-'.repeat(80));
+      logger.log('\n📊 DIRECTORY CONTENTS:');
+      logger.log('='.repeat(80));
+      logger.log('Type'.padEnd(4) + ' | ' + 'Name'.padEnd(40) + ' | ' + 'Size'.padEnd(10) + ' | ' + 'Modified');
+      logger.log('-'.repeat(80));
       
       for (const item of items) {
         const type = item.isDirectory ? 'DIR' : 'FILE';
@@ -183,36 +356,39 @@ const listDirectory = async (dirPath, options = {}) => {
         const name = item.name.length > 40 ? item.name.substring(0, 37) + '...' : item.name;
         const modified = formatDate(item.modified);
         
-        console.log(type.padEnd(4) + ' | ' + name.padEnd(40) + ' | ' + size.padEnd(10) + ' | ' + modified);
+        logger.log(type.padEnd(4) + ' | ' + name.padEnd(40) + ' | ' + size.padEnd(10) + ' | ' + modified);
       }
     } else {
       // Default list output
-      console.log('\n📊 SUMMARY:');
-      console.log('============');
-      console.log(`📁 Total items: ${result.totalItems}`);
-      console.log(`📄 Files: ${result.filesCount}`);
-      console.log(`📂 Directories: ${result.directoriesCount}`);
+      logger.log('\n📊 SUMMARY:');
+      logger.log('============');
+      logger.log(`📁 Total items: ${result.totalItems}`);
+      logger.log(`📄 Files: ${result.filesCount}`);
+      logger.log(`📂 Directories: ${result.directoriesCount}`);
+      if (result.skipped > 0) {
+        logger.log(`🙈 Skipped: ${result.skipped} ignored entries (use --no-ignore to include them)`);
+      }
       
       if (directories.length > 0) {
-        console.log('\n📂 DIRECTORIES:');
+        logger.log('\n📂 DIRECTORIES:');
         directories.forEach(dir => {
           const displayPath = recursive ? dir.relativePath : dir.name;
           if (showStats) {
-            console.log(`   📂 ${displayPath} (modified: ${formatDate(dir.modified)})`);
+            logger.log(`   📂 ${displayPath} (modified: ${formatDate(dir.modified)})`);
           } else {
-            console.log(`   📂 ${displayPath}`);
+            logger.log(`   📂 ${displayPath}`);
           }
         });
       }
       
       if (files.length > 0) {
-        console.log('\n📄 FILES:');
+        logger.log('\n📄 FILES:');
         files.forEach(file => {
           const displayPath = recursive ? file.relativePath : file.name;
           if (showStats) {
-            console.log(`   📄 ${displayPath} (${formatFileSize(file.size)}, modified: ${formatDate(file.modified)})`);
+            logger.log(`   📄 ${displayPath} (${formatFileSize(file.size)}, modified: ${formatDate(file.modified)})`);
           } else {
-            console.log(`   📄 ${displayPath}`);
+            logger.log(`   📄 ${displayPath}`);
           }
         });
       }
@@ -240,12 +416,15 @@ const main = async () => {
     console.log('Options:');
     console.log('  --recursive         List files and directories recursively');
     console.log('  --hidden            Include hidden files and directories (starting with .)');
+    console.log('  --no-ignore         Include entries ignored by .gitignore, .ignore, .chaiignore or');
+    console.log('                      the default list (node_modules, .git, .vscode, .idea, *.log)');
     console.log('  --stats             Show file sizes and modification dates');
     console.log('  --sort=FIELD        Sort by: name, size, date (default: name)');
     console.log('  --order=ORDER       Sort order: asc, desc (default: asc)');
     console.log('  --filter=EXT        Filter files by extension (e.g., .js, .json)');
     console.log('  --max-depth=N       Maximum directory depth for recursive listing');
-    console.log('  --output=FORMAT     Output format: list, json, table (default: list)');
+    console.log('  --output=FORMAT     Output format: list, json, table, tree, compact (default: list)');
+    console.log('  --max-entries=N     Entries shown per directory in tree/compact output (default: 20)');
     console.log('  --help              Show this help message');
     console.log('');
     console.log('Examples:');
@@ -254,18 +433,21 @@ const main = async () => {
     console.log('  node list_directory.js . --filter=.js --sort=size --order=desc');
     console.log('  node list_directory.js /path/to/dir --hidden --output=json');
     console.log('  node list_directory.js ./project --recursive --max-depth=3 --output=table');
+    console.log('  node list_directory.js ./clone --output=tree --max-depth=2');
     process.exit(0);
   }
   
   const dirPath = args.find(arg => !arg.startsWith('--')) || '.';
   
   // Parse options
-  const options = {};
+  const options = { logger: console };
   args.forEach(arg => {
     if (arg === '--recursive') {
       options.recursive = true;
     } else if (arg === '--hidden') {
       options.showHidden = true;
+    } else if (arg === '--no-ignore') {
+      options.respectIgnore = false;
     } else if (arg === '--stats') {
       options.showStats = true;
     } else if (arg.startsWith('--sort=')) {
@@ -296,13 +478,21 @@ const main = async () => {
         process.exit(1);
       }
       options.maxDepth = depth;
+    } else if (arg.startsWith('--max-entries=')) {
+      const entries = parseInt(arg.split('=')[1]);
+      if (isNaN(entries) || entries < 1) {
+        console.log(`❌ Invalid max-entries: ${arg.split('=')[1]}`);
+        console.log('Max entries must be a positive integer');
+        process.exit(1);
+      }
+      options.maxEntries = entries;
     } else if (arg.startsWith('--output=')) {
       const output = arg.split('=')[1];
-      if (['list', 'json', 'table'].includes(output)) {
+      if (['list', 'json', 'table', 'tree', 'compact'].includes(output)) {
         options.output = output;
       } else {
         console.log(`❌ Invalid output format: ${output}`);
-        console.log('Valid options: list, json, table');
+        console.log('Valid options: list, json, table, tree, compact');
         process.exit(1);
       }
     }
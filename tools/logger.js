@@ -0,0 +1,9 @@
+// Tools report progress through an injected logger: any object with log / warn / error methods,
+// so console is one. Library calls are silent unless the caller passes a logger; the CLI main()
+// entry points pass console.
+
+export const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
@@ -1,8 +1,16 @@
 #!/usr/bin/env node
 
-const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
+import puppeteer from 'puppeteer';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import { withFileLock, writeFileAtomic } from './atomic_file.js';
+import { silentLogger } from './logger.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Helper function to generate a consistent website key from URL
 const getWebsiteKey = (url) => {
@@ -15,7 +23,7 @@ const getWebsiteKey = (url) => {
 };
 
 // Helper function to read websites.json for caching
-const readWebsitesJson = () => {
+const readWebsitesJson = (logger = silentLogger) => {
   const jsonPath = path.join(__dirname, '..', 'data', 'website_extraction', 'websites.json');
   try {
     if (fs.existsSync(jsonPath)) {
@@ -24,26 +32,25 @@ const readWebsitesJson = () => {
     }
     return {};
   } catch (error) {
-    console.log('⚠️  Error reading websites.json, starting with empty data:', error.message);
+    logger.log('⚠️  Error reading websites.json, starting with empty data:', error.message);
     return {};
   }
 };
 
-// Helper function to write websites.json for caching
-const writeWebsitesJson = (data) => {
+// Helper function to write websites.json for caching. `update` is the new data, or a function that
+// receives the current data and returns the new data; it runs under a lock file so concurrent
+// runs do not overwrite each other's entries, and the file is replaced atomically.
+const writeWebsitesJson = async (update, logger = silentLogger) => {
   const jsonPath = path.join(__dirname, '..', 'data', 'website_extraction', 'websites.json');
-  const dirPath = path.dirname(jsonPath);
-  
-  // Ensure directory exists
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
   
   try {
-    fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2), 'utf8');
+    await withFileLock(jsonPath, async () => {
+      const data = typeof update === 'function' ? update(readWebsitesJson(logger)) : update;
+      await writeFileAtomic(jsonPath, JSON.stringify(data, null, 2));
+    });
     return true;
   } catch (error) {
-    console.log('❌ Error writing websites.json:', error.message);
+    logger.log('❌ Error writing websites.json:', error.message);
     return false;
   }
 };
@@ -55,44 +62,49 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
     waitUntil = 'domcontentloaded',
     userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
     useCache = true,
-    extractComputedStyles = false // This can be expensive, so make it optional
+    extractComputedStyles = false, // This can be expensive, so make it optional
+    logger = silentLogger,
+    signal // AbortSignal: closes the browser and rejects with the abort reason
   } = options;
 
+  signal?.throwIfAborted();
+
   // Check if extraction already exists for this website
   const websiteKey = getWebsiteKey(url);
-  const existingWebsites = readWebsitesJson();
+  const existingWebsites = readWebsitesJson(logger);
   
   if (useCache && existingWebsites[websiteKey]) {
-    console.log(`✅ Extraction data already exists for ${websiteKey}`);
-    console.log(`📁 Returning existing extraction data...`);
+    logger.log(`✅ Extraction data already exists for ${websiteKey}`);
+    logger.log(`📁 Returning existing extraction data...`);
     
     const existingData = existingWebsites[websiteKey];
     // Check if the cached file exists
     let fullPath = existingData.filePath;
+    // Entries store the file name; it was saved in the output directory
     if (!path.isAbsolute(fullPath)) {
-      fullPath = path.resolve(path.join(__dirname, '..', 'data', 'website_extraction'), fullPath);
+      fullPath = path.resolve(outputDir, fullPath);
     }
     
     if (fs.existsSync(fullPath)) {
       try {
         const cachedData = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
-        console.log(`🎉 Returning cached extraction data!`);
+        logger.log(`🎉 Returning cached extraction data!`);
         return { ...cachedData, cached: true };
       } catch (error) {
-        console.log(`⚠️  Error reading cached file, extracting fresh data...`);
+        logger.log(`⚠️  Error reading cached file, extracting fresh data...`);
       }
     } else {
-      console.log(`⚠️  Cached file not found, extracting fresh data...`);
+      logger.log(`⚠️  Cached file not found, extracting fresh data...`);
     }
   }
   
-  console.log(`🔍 Extracting data from: ${url}`);
-  console.log(`⚙️  Settings: timeout=${timeout}ms, retries=${retries}, waitUntil=${waitUntil}`);
+  logger.log(`🔍 Extracting data from: ${url}`);
+  logger.log(`⚙️  Settings: timeout=${timeout}ms, retries=${retries}, waitUntil=${waitUntil}`);
   
   // Create output directory if it doesn't exist
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
-    console.log(`📁 Created directory: ${outputDir}`);
+    logger.log(`📁 Created directory: ${outputDir}`);
   }
   
   const browser = await puppeteer.launch({
@@ -110,6 +122,17 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
     ]
   });
   
+  // Closing the browser makes every pending page call reject, so an abort ends the run promptly
+  let closing = null;
+  const closeOnAbort = () => {
+    closing = browser.close().catch(() => {});
+  };
+  if (signal?.aborted) {
+    await browser.close();
+    throw signal.reason;
+  }
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
+
   const page = await browser.newPage();
   
   // Set user agent to avoid being blocked
@@ -130,7 +153,7 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
     let lastError;
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
-        console.log(`🔄 Navigation attempt ${attempt}/${retries}...`);
+        logger.log(`🔄 Navigation attempt ${attempt}/${retries}...`);
         
         await page.goto(url, { 
           waitUntil: waitUntil,
@@ -141,22 +164,23 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
         try {
           await page.waitForSelector('body', { timeout: 5000 });
         } catch (e) {
-          console.log('⚠️  Body selector not found, continuing anyway...');
+          logger.log('⚠️  Body selector not found, continuing anyway...');
         }
         
         // Additional wait for dynamic content
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await sleep(2000, undefined, { signal });
         
-        console.log('✅ Page loaded successfully!');
+        logger.log('✅ Page loaded successfully!');
         break; // Success, exit retry loop
         
       } catch (error) {
+        if (signal?.aborted) throw error;
         lastError = error;
-        console.log(`❌ Attempt ${attempt} failed: ${error.message}`);
+        logger.log(`❌ Attempt ${attempt} failed: ${error.message}`);
         
         if (attempt < retries) {
-          console.log(`⏳ Waiting 3 seconds before retry...`);
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          logger.log(`⏳ Waiting 3 seconds before retry...`);
+          await sleep(3000, undefined, { signal });
         }
       }
     }
@@ -167,11 +191,11 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
     }
     
     // Get HTML
-    console.log('📄 Extracting HTML...');
+    logger.log('📄 Extracting HTML...');
     const html = await page.content();
     
     // Get all CSS with better error handling
-    console.log('🎨 Extracting CSS...');
+    logger.log('🎨 Extracting CSS...');
     const stylesheets = await page.evaluate(() => {
       const css = [];
       const processedHrefs = new Set();
@@ -225,7 +249,7 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
     // Get computed styles for elements (optional, can be expensive)
     let computedStyles = [];
     if (extractComputedStyles) {
-      console.log('💅 Extracting computed styles...');
+      logger.log('💅 Extracting computed styles...');
       try {
         computedStyles = await page.evaluate(() => {
           const elements = document.querySelectorAll('*');
@@ -264,13 +288,13 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
           return styles;
         });
       } catch (error) {
-        console.log('⚠️  Error extracting computed styles:', error.message);
+        logger.log('⚠️  Error extracting computed styles:', error.message);
         computedStyles = [];
       }
     }
     
     // Get JavaScript with better error handling
-    console.log('⚡ Extracting JavaScript...');
+    logger.log('⚡ Extracting JavaScript...');
     const scripts = await page.evaluate(() => {
       const scriptData = [];
       
@@ -293,7 +317,7 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
     });
     
     // Get page metadata
-    console.log('📋 Extracting metadata...');
+    logger.log('📋 Extracting metadata...');
     const metadata = await page.evaluate(() => {
       const meta = {};
       
@@ -321,8 +345,9 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
       return meta;
     });
     
+    signal?.removeEventListener('abort', closeOnAbort);
     await browser.close();
-    console.log('✅ Extraction complete!');
+    logger.log('✅ Extraction complete!');
     
     const extractedData = {
       url: url,
@@ -351,26 +376,34 @@ const extractPageData = async (url, outputDir = path.join(__dirname, '..', 'data
         fs.writeFileSync(filepath, JSON.stringify(extractedData, null, 2), 'utf8');
         
         // Update websites.json cache
-        const websites = readWebsitesJson();
-        websites[websiteKey] = {
-          filePath: filename,
-          timestamp: extractedData.timestamp,
-          url: url
-        };
+        const updated = await writeWebsitesJson(websites => ({
+          ...websites,
+          [websiteKey]: {
+            filePath: filename,
+            timestamp: extractedData.timestamp,
+            url: url
+          }
+        }), logger);
         
-        if (writeWebsitesJson(websites)) {
-          console.log(`📝 Updated cache with extraction data for ${websiteKey}`);
+        if (updated) {
+          logger.log(`📝 Updated cache with extraction data for ${websiteKey}`);
         }
         
-        console.log(`💾 Data saved to: ${filepath}`);
+        logger.log(`💾 Data saved to: ${filepath}`);
       } catch (error) {
-        console.log(`⚠️  Error saving file: ${error.message}`);
+        logger.log(`⚠️  Error saving file: ${error.message}`);
       }
     }
     
     return extractedData;
     
   } catch (error) {
+    signal?.removeEventListener('abort', closeOnAbort);
+    if (signal?.aborted) {
+      await closing;
+      logger.log('⏹️  Aborted, browser closed');
+      throw signal.reason;
+    }
     await browser.close();
     throw error;
   }
@@ -435,7 +468,7 @@ const main = async () => {
   const outputDir = args.find(arg => !arg.startsWith('--') && arg !== url) || path.join(__dirname, '..', 'data', 'website_extraction');
   
   // Parse options
-  const options = {};
+  const options = { logger: console };
   args.forEach(arg => {
     if (arg.startsWith('--timeout=')) {
       options.timeout = parseInt(arg.split('=')[1]) || 60000;
@@ -529,7 +562,7 @@ const main = async () => {
 };
 
 // Export the function for use in other modules
-module.exports = { 
+export { 
   extractPageData,
   getWebsiteKey,
   readWebsitesJson,
@@ -537,6 +570,6 @@ module.exports = {
 };
 
 // Run CLI if this file is executed directly
-if (require.main === module) {
+if (process.argv[1] === __filename) {
   main();
 }
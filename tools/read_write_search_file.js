@@ -2,6 +2,13 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { glob as globPattern, hasMagic } from 'glob';
+import { DEFAULT_IGNORE } from './glob_files.js';
+import { IgnoreRules, createGlobIgnore } from './ignore_rules.js';
+import { unifiedDiff } from './text_diff.js';
+import { hashContent, withFileLock, writeFileAtomic } from './atomic_file.js';
+import { decodeText, detectMimeType, isBinaryBuffer } from './file_encoding.js';
+import { silentLogger } from './logger.js';
 
 // Helper function to check if file exists
 const fileExists = async (filePath) => {
@@ -27,7 +34,18 @@ const formatFileSize = (bytes) => {
   return `${size.toFixed(1)} ${units[unitIndex]}`;
 };
 
-async function read_file(filePath, encoding = 'utf8') {
+// Read a file, or part of it. Options:
+//   startLine / endLine   1-based inclusive line range
+//   offset / length       byte range (takes precedence over lines; only these bytes are read)
+//   maxBytes              cap on the returned content; cut at a line boundary when possible
+//   lineNumbers           prefix each line with its number ("  12| ...")
+// truncated is true when maxBytes cut the requested content short; nextStartLine / nextOffset
+// say where to continue whenever the file goes on past what was returned.
+// encoding 'auto' detects the text encoding (see file_encoding.js) and returns binary files as
+// { binary: true, mimeType } without content; 'base64' returns the bytes of any file.
+async function read_file(filePath, encoding = 'auto', options = {}) {
+  const { startLine, endLine, offset, length, maxBytes, lineNumbers = false } = options;
+  
   try {
     const absolutePath = path.resolve(filePath);
     
@@ -35,104 +53,353 @@ async function read_file(filePath, encoding = 'utf8') {
       throw new Error(`File not found: ${absolutePath}`);
     }
     
-    const content = await fs.readFile(absolutePath, encoding);
     const stats = await fs.stat(absolutePath);
-    
-    return {
-      content,
+    const result = {
+      content: '',
       filePath: absolutePath,
       size: stats.size,
       modified: stats.mtime,
+      mtimeMs: stats.mtimeMs,
       encoding
     };
+    
+    if (encoding === 'base64' || offset !== undefined || length !== undefined) {
+      const start = Math.min(offset || 0, stats.size);
+      const requested = Math.min(length === undefined ? stats.size - start : length, stats.size - start);
+      const wanted = Math.min(requested, maxBytes || Infinity);
+      const buffer = Buffer.alloc(wanted);
+      const handle = await fs.open(absolutePath, 'r');
+      try {
+        await handle.read(buffer, 0, wanted, start);
+      } finally {
+        await handle.close();
+      }
+      result.offset = start;
+      result.length = wanted;
+      result.truncated = wanted < requested;
+      if (start + wanted < stats.size) result.nextOffset = start + wanted;
+      if (encoding === 'base64') {
+        result.content = buffer.toString('base64');
+        result.mimeType = detectMimeType(buffer, absolutePath);
+      } else if (encoding === 'auto' && isBinaryBuffer(buffer)) {
+        result.binary = true;
+        result.mimeType = detectMimeType(buffer, absolutePath);
+      } else {
+        result.content = decodeText(buffer, encoding === 'auto' ? 'utf8' : encoding).text;
+      }
+      return result;
+    }
+    
+    const raw = await fs.readFile(absolutePath);
+    // Pass hash (or mtimeMs) back to write_file as expectedHash to detect concurrent changes
+    result.hash = hashContent(raw);
+    if (encoding === 'auto' && isBinaryBuffer(raw)) {
+      result.binary = true;
+      result.mimeType = detectMimeType(raw, absolutePath);
+      result.truncated = false;
+      return result;
+    }
+    const decoded = decodeText(raw, encoding);
+    const text = decoded.text;
+    result.encoding = decoded.encoding;
+    if (decoded.bom) result.bom = true;
+    // Byte counts are measured in the file's encoding where Buffer supports it
+    const measure = Buffer.isEncoding(decoded.encoding) ? decoded.encoding : 'utf8';
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    result.totalLines = lines.length;
+    
+    const partial = startLine !== undefined || endLine !== undefined || lineNumbers ||
+      (maxBytes && Buffer.byteLength(text, measure) > maxBytes);
+    if (!partial) {
+      result.content = text;
+      result.truncated = false;
+      return result;
+    }
+    
+    const first = Math.max(1, startLine || 1);
+    const requestedLast = Math.min(lines.length, endLine || lines.length);
+    let last = requestedLast;
+    const width = String(last).length;
+    let selected = lines.slice(first - 1, last)
+      .map((line, index) => (lineNumbers ? `${String(first + index).padStart(width)}| ${line}` : line));
+    
+    let cutLine = false;
+    if (maxBytes) {
+      let bytes = 0;
+      let count = 0;
+      while (count < selected.length && bytes + Buffer.byteLength(selected[count], measure) + 1 <= maxBytes) {
+        bytes += Buffer.byteLength(selected[count], measure) + 1;
+        count++;
+      }
+      if (count === 0 && selected.length > 0) {
+        // A single line longer than the cap (minified CSS) is cut rather than returning nothing
+        selected = [Buffer.from(selected[0], measure).subarray(0, maxBytes).toString(measure)];
+        cutLine = true;
+        count = 1;
+      }
+      selected = selected.slice(0, count);
+      last = Math.min(last, first + count - 1);
+    }
+    
+    result.content = selected.join('\n');
+    result.startLine = first;
+    result.endLine = last;
+    result.truncated = last < requestedLast || cutLine;
+    if (last < lines.length) result.nextStartLine = last + 1;
+    if (cutLine && !lineNumbers && measure === decoded.encoding) {
+      // The rest of an over-long line can only be reached by bytes
+      const bomLength = decoded.bom ? Buffer.byteLength('\uFEFF', measure) : 0;
+      const lineStart = bomLength + Buffer.byteLength(lines.slice(0, first - 1).map(line => `${line}\n`).join(''), measure);
+      result.nextOffset = lineStart + Buffer.byteLength(result.content, measure);
+    }
+    return result;
   } catch (error) {
     throw new Error(`Failed to read file: ${error.message}`);
   }
 }
 
-async function search_file_content(filePaths, pattern, options = {}) {
+// Build the global RegExp for a search. Literal mode escapes the pattern; regex mode uses it as
+// written, with extra flags (e.g. 's' so '.' crosses lines). An invalid pattern throws the
+// engine's SyntaxError message, e.g. "Invalid regular expression: /(/g: Unterminated group".
+const buildSearchRegex = (pattern, { mode = 'literal', flags = '', caseSensitive = true, wholeWord = false, multiline = false } = {}) => {
+  if (mode !== 'literal' && mode !== 'regex') {
+    throw new Error(`Unknown search mode "${mode}" (use 'literal' or 'regex')`);
+  }
+  let source = mode === 'regex' ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+
+  const flagSet = new Set([...String(flags), 'g']);
+  if (!caseSensitive) flagSet.add('i');
+  // ^ and $ keep matching at line boundaries when the whole file is searched at once
+  if (multiline) flagSet.add('m');
+
+  try {
+    return new RegExp(source, [...flagSet].join(''));
+  } catch (error) {
+    throw new Error(error.message);
+  }
+};
+
+const isInsideDir = (target, dir) => {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// Expand search targets into file paths: files are taken as they are, directories are walked
+// recursively (filtered by include/exclude globs) and glob patterns are matched from cwd.
+// Walks skip glob_files.js's default ignore list and, unless respectGitignore is false, whatever
+// .gitignore / .ignore / .chaiignore files ignore. Symlinked files are left out, but a pattern
+// may still name a path through a symlinked directory, so an allowPath(absolutePath) predicate
+// (sync or async) can drop files that resolve somewhere they should not.
+const expandSearchTargets = async (targets, options = {}) => {
+  const {
+    cwd = process.cwd(),
+    include = ['**/*'],
+    exclude = [],
+    respectGitignore = true,
+    dot = false,
+    allowPath
+  } = options;
+
+  const files = [];
+  const errors = [];
+  const seen = new Set();
+  const rulesByRoot = new Map();
+  const rulesFor = (root) => {
+    if (!respectGitignore) return null;
+    if (!rulesByRoot.has(root)) rulesByRoot.set(root, new IgnoreRules(root));
+    return rulesByRoot.get(root);
+  };
+  const walk = async (patterns, walkCwd, rulesRoot) => {
+    const matches = await globPattern(patterns, {
+      cwd: walkCwd,
+      withFileTypes: true,
+      nodir: true,
+      dot,
+      follow: false,
+      ignore: createGlobIgnore([...DEFAULT_IGNORE, ...exclude], rulesFor(rulesRoot))
+    });
+    // Symlinked files could point anywhere, so walks leave them out
+    return matches.filter(entry => !entry.isSymbolicLink()).map(entry => entry.fullpath()).sort();
+  };
+  const add = async (filePath) => {
+    if (seen.has(filePath)) return;
+    seen.add(filePath);
+    if (allowPath && !(await allowPath(filePath))) {
+      errors.push(`Skipped ${filePath}: it resolves outside the allowed directories`);
+      return;
+    }
+    files.push(filePath);
+  };
+
+  for (const target of targets) {
+    if (hasMagic(target)) {
+      const matches = await walk(target, cwd, path.resolve(cwd));
+      if (matches.length === 0) errors.push(`No files match ${target}`);
+      for (const match of matches) await add(match);
+      continue;
+    }
+    const absolutePath = path.resolve(cwd, target);
+    let stats;
+    try {
+      stats = await fs.stat(absolutePath);
+    } catch {
+      errors.push(`File not found: ${absolutePath}`);
+      continue;
+    }
+    if (stats.isDirectory()) {
+      // Ignore files apply from cwd down when the directory is inside it
+      const rulesRoot = isInsideDir(absolutePath, path.resolve(cwd)) ? path.resolve(cwd) : absolutePath;
+      for (const match of await walk(include, absolutePath, rulesRoot)) await add(match);
+    } else {
+      await add(absolutePath);
+    }
+  }
+  return { files, errors };
+};
+
+// Matches of the search regex in one file's content, at most `limit`
+const matchContent = (content, filePath, regex, { multiline, showContext, contextLines, limit }) => {
+  const lines = content.split('\n');
+  const results = [];
+
+  const addMatch = (text, position, index, endIndex) => {
+    const result = {
+      file: filePath,
+      line: index + 1,
+      content: lines.slice(index, endIndex + 1).join('\n').trim(),
+      match: text,
+      position
+    };
+    if (endIndex > index) result.endLine = endIndex + 1;
+
+    if (showContext) {
+      const start = Math.max(0, index - contextLines);
+      const end = Math.min(lines.length, endIndex + contextLines + 1);
+      result.context = lines.slice(start, end).map((contextLine, contextIndex) => ({
+        line: start + contextIndex + 1,
+        content: contextLine,
+        isMatch: start + contextIndex >= index && start + contextIndex <= endIndex
+      }));
+    }
+    results.push(result);
+  };
+
+  if (multiline) {
+    // Match against the whole file so a pattern can span several lines
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return low;
+    };
+    for (const match of content.matchAll(regex)) {
+      if (results.length >= limit) break;
+      const startLine = lineAt(match.index);
+      const endLine = lineAt(match.index + Math.max(0, match[0].length - 1));
+      addMatch(match[0], match.index - lineStarts[startLine], startLine, endLine);
+    }
+  } else {
+    for (const [index, line] of lines.entries()) {
+      for (const match of line.matchAll(regex)) {
+        if (results.length >= limit) return results;
+        addMatch(match[0], match.index, index, index);
+      }
+    }
+  }
+  return results;
+};
+
+// Search files, directories and glob patterns, yielding results as each file is searched:
+//   { type: 'file', file, count, matches }   a file with matches
+//   { type: 'skipped', file, reason }        binary or unreadable file
+//   { type: 'done', summary }                always last
+// Stops reading files once maxMatches matches were found (summary.truncated).
+async function* search_file_content_stream(filePaths, pattern, options = {}) {
   const {
+    mode = 'literal',
+    flags = '',
+    multiline = false,
     caseSensitive = true,
     wholeWord = false,
     maxMatches = 100,
     showContext = false,
     contextLines = 2
   } = options;
-  
-  try {
-    const flags = caseSensitive ? 'g' : 'gi';
-    let regex;
-    
-    if (wholeWord) {
-      regex = new RegExp(`\\b${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, flags);
-    } else {
-      regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+
+  // Before any file is read, so a bad pattern is reported as is
+  const regex = buildSearchRegex(pattern, { mode, flags, caseSensitive, wholeWord, multiline });
+
+  const { files, errors } = await expandSearchTargets(Array.isArray(filePaths) ? filePaths : [filePaths], options);
+  const summary = {
+    totalFiles: files.length,
+    filesSearched: 0,
+    filesWithMatches: 0,
+    totalMatches: 0,
+    binaryFilesSkipped: 0,
+    truncated: false,
+    errors
+  };
+
+  for (const filePath of files) {
+    if (summary.totalMatches >= maxMatches) {
+      summary.truncated = true;
+      break;
     }
-    
-    const paths = Array.isArray(filePaths) ? filePaths : [filePaths];
-    const results = [];
-    const summary = {
-      totalFiles: paths.length,
-      filesWithMatches: 0,
-      totalMatches: 0,
-      errors: []
-    };
-    
-    for (const filePath of paths) {
-      try {
-        const absolutePath = path.resolve(filePath);
-        
-        if (!(await fileExists(absolutePath))) {
-          summary.errors.push(`File not found: ${absolutePath}`);
-          continue;
-        }
-        
-        const content = await fs.readFile(absolutePath, 'utf8');
-        const lines = content.split('\n');
-        let fileMatches = 0;
-        
-        lines.forEach((line, index) => {
-          const matches = [...line.matchAll(regex)];
-          matches.forEach(match => {
-            if (results.length < maxMatches) {
-              const result = {
-                file: absolutePath,
-                line: index + 1,
-                content: line.trim(),
-                match: match[0],
-                position: match.index
-              };
-              
-              if (showContext) {
-                const start = Math.max(0, index - contextLines);
-                const end = Math.min(lines.length, index + contextLines + 1);
-                result.context = lines.slice(start, end).map((contextLine, contextIndex) => ({
-                  line: start + contextIndex + 1,
-                  content: contextLine,
-                  isMatch: start + contextIndex === index
-                }));
-              }
-              
-              results.push(result);
-              fileMatches++;
-              summary.totalMatches++;
-            }
-          });
-        });
-        
-        if (fileMatches > 0) {
-          summary.filesWithMatches++;
-        }
-        
-      } catch (error) {
-        summary.errors.push(`Error reading ${filePath}: ${error.message}`);
-      }
+    let buffer;
+    try {
+      buffer = await fs.readFile(filePath);
+    } catch (error) {
+      summary.errors.push(`Error reading ${filePath}: ${error.message}`);
+      yield { type: 'skipped', file: filePath, reason: error.message };
+      continue;
+    }
+    summary.filesSearched++;
+    if (isBinaryBuffer(buffer)) {
+      summary.binaryFilesSkipped++;
+      yield { type: 'skipped', file: filePath, reason: 'binary' };
+      continue;
+    }
+
+    const matches = matchContent(decodeText(buffer).text, filePath, regex, {
+      multiline,
+      showContext,
+      contextLines,
+      limit: maxMatches - summary.totalMatches
+    });
+    if (matches.length > 0) {
+      summary.filesWithMatches++;
+      summary.totalMatches += matches.length;
+      if (summary.totalMatches >= maxMatches) summary.truncated = true;
+      yield { type: 'file', file: filePath, count: matches.length, matches };
     }
-    
-    return { results, summary };
-  } catch (error) {
-    throw new Error(`Failed to search file content: ${error.message}`);
   }
+
+  yield { type: 'done', summary };
+}
+
+async function search_file_content(filePaths, pattern, options = {}) {
+  const results = [];
+  const files = [];
+  let summary;
+  for await (const event of search_file_content_stream(filePaths, pattern, options)) {
+    if (event.type === 'file') {
+      results.push(...event.matches);
+      files.push({ file: event.file, matches: event.count });
+    } else if (event.type === 'done') {
+      summary = event.summary;
+    }
+  }
+  return { results, files, summary };
 }
 
 async function replace(filePath, searchValue, replaceValue, options = {}) {
@@ -140,7 +407,8 @@ async function replace(filePath, searchValue, replaceValue, options = {}) {
     backup = false,
     dryRun = false,
     caseSensitive = true,
-    wholeWord = false
+    wholeWord = false,
+    logger = silentLogger
   } = options;
   
   try {
@@ -177,9 +445,9 @@ async function replace(filePath, searchValue, replaceValue, options = {}) {
       if (backup) {
         const backupPath = `${absolutePath}.backup.${Date.now()}`;
         await fs.copyFile(absolutePath, backupPath);
-        console.log(`📄 Backup created: ${backupPath}`);
+        logger.log(`📄 Backup created: ${backupPath}`);
       }
-      await fs.writeFile(absolutePath, newContent, 'utf8');
+      await writeFileAtomic(absolutePath, newContent);
     }
     
     const newStats = dryRun ? originalStats : await fs.stat(absolutePath);
@@ -198,34 +466,171 @@ async function replace(filePath, searchValue, replaceValue, options = {}) {
   }
 }
 
+// Find and replace across files, directories and glob patterns (expanded like search_file_content)
+// as one all-or-nothing write. The search value is literal text unless mode is 'regex'; in regex
+// mode the replacement may use $1 / $<name>. A dry run returns a unified diff per changed file.
+// With backup, the originals are copied into a single .backup.<timestamp> directory under cwd.
+// `expanded` is the { files, errors } of an earlier expandSearchTargets call (e.g. the dry run
+// that asked for approval), used instead of expanding the targets again.
+async function replace_all(targets, searchValue, replaceValue, options = {}) {
+  const {
+    mode = 'literal',
+    flags = '',
+    caseSensitive = true,
+    wholeWord = false,
+    include,
+    exclude,
+    respectGitignore,
+    dot,
+    dryRun = false,
+    backup = false,
+    cwd = process.cwd(),
+    allowPath,
+    expanded
+  } = options;
+
+  if (!searchValue) throw new Error('Search value must not be empty');
+  const regex = buildSearchRegex(searchValue, { mode, flags, caseSensitive, wholeWord });
+  const targetList = Array.isArray(targets) ? targets : [targets];
+  const { files: candidates, errors } = expanded
+    ? { files: expanded.files, errors: [...expanded.errors] }
+    : await expandSearchTargets(targetList, { cwd, include, exclude, respectGitignore, dot, allowPath });
+
+  const summary = {
+    filesSearched: 0,
+    filesChanged: 0,
+    totalReplacements: 0,
+    binaryFilesSkipped: 0,
+    errors
+  };
+  const changed = [];
+  const files = [];
+
+  for (const filePath of candidates) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(filePath);
+    } catch (error) {
+      errors.push(`${filePath}: ${error.message}`);
+      continue;
+    }
+    if (isBinaryBuffer(buffer)) {
+      summary.binaryFilesSkipped++;
+      continue;
+    }
+    summary.filesSearched++;
+    const decoded = decodeText(buffer);
+    const replacements = [...decoded.text.matchAll(regex)].length;
+    if (replacements === 0) continue;
+    // Writing back is UTF-8 only, so legacy-encoded files are reported instead of converted
+    if (decoded.encoding !== 'utf-8') {
+      errors.push(`${filePath}: not changed, the file is encoded as ${decoded.encoding}`);
+      continue;
+    }
+    const original = buffer.toString('utf8');
+    // Literal replacements are inserted as they are, without $-substitution
+    const content = mode === 'regex' ? original.replace(regex, replaceValue) : original.replace(regex, () => replaceValue);
+    if (content === original) continue;
+
+    changed.push([filePath, { original, content }]);
+    const report = {
+      file: filePath,
+      replacements,
+      sizeDifference: Buffer.byteLength(content) - buffer.length
+    };
+    if (dryRun) {
+      const label = path.relative(cwd, filePath) || filePath;
+      report.diff = unifiedDiff(original, content, { fromLabel: `a/${label}`, toLabel: `b/${label}` });
+    }
+    files.push(report);
+    summary.filesChanged++;
+    summary.totalReplacements += replacements;
+  }
+
+  let backupDir;
+  if (!dryRun && changed.length > 0) {
+    try {
+      if (backup) {
+        backupDir = path.join(cwd, `.backup.${Date.now()}`);
+        for (const [filePath] of changed) {
+          const relative = path.relative(cwd, filePath);
+          const backupPath = path.join(backupDir, relative.startsWith('..') || path.isAbsolute(relative) ? filePath.replace(/^[/\\]+|:/g, '') : relative);
+          await fs.mkdir(path.dirname(backupPath), { recursive: true });
+          await fs.copyFile(filePath, backupPath);
+        }
+      }
+      await writeFilesAtomically(changed);
+    } catch (error) {
+      throw new Error(`Failed to replace content: ${error.message}`);
+    }
+  }
+
+  const result = { applied: !dryRun && changed.length > 0, dryRun, files, summary };
+  if (backupDir) result.backupDir = backupDir;
+  return result;
+}
+
+// Fail when the file is no longer the version the caller read: expectedMtime is the mtime from
+// read_file (ms or ISO string, compared to the millisecond), expectedHash its sha256
+const checkUnchanged = async (absolutePath, { expectedMtime, expectedHash }) => {
+  let stats;
+  try {
+    stats = await fs.stat(absolutePath);
+  } catch {
+    throw new Error(`${absolutePath} no longer exists; it was deleted since it was read`);
+  }
+  if (expectedMtime !== undefined) {
+    const expected = Math.floor(new Date(expectedMtime).getTime());
+    if (Number.isNaN(expected)) throw new Error(`Invalid expectedMtime: ${expectedMtime}`);
+    if (Math.floor(stats.mtimeMs) !== expected) {
+      throw new Error(`${absolutePath} changed since it was read (modified ${stats.mtime.toISOString()}); read it again before writing`);
+    }
+  }
+  if (expectedHash !== undefined && hashContent(await fs.readFile(absolutePath)) !== expectedHash.toLowerCase()) {
+    throw new Error(`${absolutePath} changed since it was read (content hash differs); read it again before writing`);
+  }
+};
+
+// Overwrites are atomic (temp file + rename). With expectedMtime or expectedHash the write only
+// happens if the file still matches, checked under a lock so concurrent writers cannot interleave.
 async function write_file(filePath, content, options = {}) {
   const {
     encoding = 'utf8',
     createDirs = true,
     append = false,
-    backup = false
+    backup = false,
+    expectedMtime,
+    expectedHash,
+    logger = silentLogger
   } = options;
   
   try {
     const absolutePath = path.resolve(filePath);
-    const fileExisted = await fileExists(absolutePath);
     
     if (createDirs) {
       const dir = path.dirname(absolutePath);
       await fs.mkdir(dir, { recursive: true });
     }
     
-    if (backup && fileExisted) {
-      const backupPath = `${absolutePath}.backup.${Date.now()}`;
-      await fs.copyFile(absolutePath, backupPath);
-      console.log(`📄 Backup created: ${backupPath}`);
-    }
-    
-    if (append) {
-      await fs.appendFile(absolutePath, content, encoding);
-    } else {
-      await fs.writeFile(absolutePath, content, encoding);
-    }
+    const checked = expectedMtime !== undefined || expectedHash !== undefined;
+    const write = async () => {
+      const fileExisted = await fileExists(absolutePath);
+      if (checked) await checkUnchanged(absolutePath, { expectedMtime, expectedHash });
+      
+      if (backup && fileExisted) {
+        const backupPath = `${absolutePath}.backup.${Date.now()}`;
+        await fs.copyFile(absolutePath, backupPath);
+        logger.log(`📄 Backup created: ${backupPath}`);
+      }
+      
+      if (append) {
+        await fs.appendFile(absolutePath, content, encoding);
+      } else {
+        await writeFileAtomic(absolutePath, content, { encoding });
+      }
+      return fileExisted;
+    };
+    const fileExisted = checked ? await withFileLock(absolutePath, write) : await write();
     
     const stats = await fs.stat(absolutePath);
     
@@ -235,18 +640,210 @@ async function write_file(filePath, content, options = {}) {
       formattedSize: formatFileSize(stats.size),
       created: new Date().toISOString(),
       operation: append ? 'appended' : (fileExisted ? 'overwritten' : 'created'),
-      encoding
+      encoding,
+      mtimeMs: stats.mtimeMs,
+      hash: hashContent(await fs.readFile(absolutePath))
     };
   } catch (error) {
     throw new Error(`Failed to write file: ${error.message}`);
   }
 }
 
+// Strip the a/ and b/ prefixes git puts on diff paths
+const patchPath = (header) => {
+  const name = header.replace(/\t.*$/, '').trim();
+  if (name === '/dev/null') return null;
+  return name.replace(/^[ab]\//, '');
+};
+
+// Turn a unified diff into { filePath, oldText, newText } edits, one per hunk. Line numbers
+// are ignored: each hunk is located by its context and removed lines instead. The line counts of
+// a "@@ -a,b +c,d @@" header do end the hunk, so a blank separator line after it is not taken
+// for an empty context line; without counts a blank line only counts when more hunk lines follow.
+function parse_patch(patchText) {
+  const lines = String(patchText).replace(/\r\n/g, '\n').split('\n');
+  // Trailing blank lines of the patch text are not context
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  const edits = [];
+  let oldFile;
+  let newFile;
+  let hunk = null;
+
+  const closeHunk = () => {
+    if (!hunk) return;
+    edits.push({ filePath: newFile || oldFile, oldText: hunk.oldLines.join(''), newText: hunk.newLines.join('') });
+    hunk = null;
+  };
+
+  const isFileHeader = (index) => lines[index].startsWith('--- ') && lines[index + 1] !== undefined && lines[index + 1].startsWith('+++ ');
+  // A blank line is an empty context line whose leading space was trimmed, as long as the hunk goes on
+  const isBlankContext = (index) => {
+    if (hunk.oldRemaining !== null) return hunk.oldRemaining > 0 && hunk.newRemaining > 0;
+    let next = index + 1;
+    while (next < lines.length && lines[next] === '') next++;
+    return next < lines.length && /^[ +\-\\]/.test(lines[next]) && !isFileHeader(next);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    // A hunk whose counts are used up only takes the "\ No newline" marker of its last line
+    if (hunk && hunk.complete && !line.startsWith('\\')) closeHunk();
+    if (isFileHeader(i)) {
+      closeHunk();
+      oldFile = patchPath(line.slice(4));
+      newFile = patchPath(lines[i + 1].slice(4));
+      if (!newFile) throw new Error(`Deleting files is not supported (${oldFile})`);
+      i++;
+    } else if (line.startsWith('@@')) {
+      closeHunk();
+      if (!newFile) throw new Error(`Hunk without a ---/+++ file header at line ${i + 1}`);
+      const counts = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+      hunk = {
+        oldLines: [],
+        newLines: [],
+        oldRemaining: counts ? Number(counts[1] === undefined ? 1 : counts[1]) : null,
+        newRemaining: counts ? Number(counts[2] === undefined ? 1 : counts[2]) : null,
+        complete: false
+      };
+    } else if (hunk && line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line just before it
+      const last = lines[i - 1] || '';
+      if (last[0] !== '+') hunk.oldLines[hunk.oldLines.length - 1] = hunk.oldLines[hunk.oldLines.length - 1].replace(/\n$/, '');
+      if (last[0] !== '-') hunk.newLines[hunk.newLines.length - 1] = hunk.newLines[hunk.newLines.length - 1].replace(/\n$/, '');
+    } else if (hunk && (line[0] === ' ' || line[0] === '-' || line[0] === '+' || (line === '' && isBlankContext(i)))) {
+      const text = `${line.slice(1)}\n`;
+      if (line[0] !== '+') hunk.oldLines.push(text);
+      if (line[0] !== '-') hunk.newLines.push(text);
+      if (hunk.oldRemaining !== null) {
+        if (line[0] !== '+') hunk.oldRemaining--;
+        if (line[0] !== '-') hunk.newRemaining--;
+        hunk.complete = hunk.oldRemaining <= 0 && hunk.newRemaining <= 0;
+      }
+    } else {
+      // diff --git, index and other header lines, and blank lines between sections
+      closeHunk();
+    }
+  }
+  closeHunk();
+
+  if (edits.length === 0) throw new Error('No hunks found in patch');
+  return edits;
+}
+
+const countOccurrences = (content, text) => {
+  let count = 0;
+  let index = content.indexOf(text);
+  while (index !== -1) {
+    count++;
+    index = content.indexOf(text, index + 1);
+  }
+  return count;
+};
+
+// Write [filePath, { original, content }] pairs all or nothing: each file is replaced with
+// writeFileAtomic (through symlinks, keeping its mode) and the files already written are put
+// back if a later one fails. An original of null means the file is new and is removed again.
+const writeFilesAtomically = async (changed, encoding = 'utf8') => {
+  const done = [];
+  try {
+    for (const [filePath, file] of changed) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await writeFileAtomic(filePath, file.content, { encoding });
+      done.push([filePath, file]);
+    }
+  } catch (error) {
+    for (const [filePath, file] of done) {
+      if (file.original === null) await fs.rm(filePath, { force: true });
+      else await writeFileAtomic(filePath, file.original, { encoding });
+    }
+    throw error;
+  }
+};
+
+// Apply { filePath, oldText, newText } edits across files, all or nothing. Each oldText must
+// match exactly once in its file (after earlier edits to the same file); an empty oldText
+// creates a new file. Nothing is written unless every hunk applies.
+async function apply_patch(edits, options = {}) {
+  const { dryRun = false, encoding = 'utf8' } = options;
+
+  const files = new Map();
+  const hunks = [];
+
+  for (const [index, edit] of edits.entries()) {
+    const absolutePath = path.resolve(edit.filePath);
+    const oldText = edit.oldText || '';
+    const newText = edit.newText || '';
+    const report = { hunk: index + 1, file: absolutePath, ok: false };
+    hunks.push(report);
+
+    if (!files.has(absolutePath)) {
+      const exists = await fileExists(absolutePath);
+      const original = exists ? await fs.readFile(absolutePath, encoding) : null;
+      files.set(absolutePath, { original, content: original });
+    }
+    const file = files.get(absolutePath);
+
+    if (file.content === null) {
+      if (oldText) {
+        report.error = 'File not found';
+        continue;
+      }
+      file.content = newText;
+      report.ok = true;
+      report.line = 1;
+      continue;
+    }
+    if (!oldText) {
+      report.error = 'oldText is empty; it may only be empty when creating a new file';
+      continue;
+    }
+
+    const matches = countOccurrences(file.content, oldText);
+    if (matches !== 1) {
+      report.error = matches === 0
+        ? 'oldText not found; re-read the file and copy the current text exactly'
+        : `oldText matches ${matches} times; include more surrounding lines so it matches once`;
+      continue;
+    }
+    const position = file.content.indexOf(oldText);
+    report.ok = true;
+    report.line = file.content.slice(0, position).split('\n').length;
+    file.content = file.content.slice(0, position) + newText + file.content.slice(position + oldText.length);
+  }
+
+  const failed = hunks.filter(report => !report.ok).length;
+  const changed = [...files.entries()].filter(([, file]) => file.content !== file.original);
+  const applied = failed === 0 && !dryRun;
+
+  if (applied) {
+    try {
+      await writeFilesAtomically(changed, encoding);
+    } catch (error) {
+      throw new Error(`Failed to apply patch: ${error.message}`);
+    }
+  }
+
+  return {
+    applied,
+    dryRun,
+    files: changed.map(([filePath, file]) => ({
+      file: filePath,
+      created: file.original === null,
+      hunks: hunks.filter(report => report.file === filePath).length,
+      sizeDifference: Buffer.byteLength(file.content, encoding) - Buffer.byteLength(file.original || '', encoding)
+    })),
+    hunks,
+    summary: { total: hunks.length, applied: failed === 0 ? hunks.length : 0, failed }
+  };
+}
+
+// Binary files are listed with binary: true and their mimeType instead of content (encoding 'auto')
 async function read_many_files(filePaths, options = {}) {
   const {
-    encoding = 'utf8',
+    encoding = 'auto',
     continueOnError = true,
-    showProgress = false
+    showProgress = false,
+    logger = silentLogger
   } = options;
   
   const results = [];
@@ -261,7 +858,7 @@ async function read_many_files(filePaths, options = {}) {
     const filePath = filePaths[i];
     
     if (showProgress) {
-      console.log(`📖 Reading file ${i + 1}/${filePaths.length}: ${filePath}`);
+      logger.log(`📖 Reading file ${i + 1}/${filePaths.length}: ${filePath}`);
     }
     
     try {
@@ -271,18 +868,30 @@ async function read_many_files(filePaths, options = {}) {
         throw new Error(`File not found: ${absolutePath}`);
       }
       
-      const content = await fs.readFile(absolutePath, encoding);
+      const buffer = await fs.readFile(absolutePath);
       const stats = await fs.stat(absolutePath);
-      
-      results.push({
+      const entry = {
         file: absolutePath,
-        content,
+        content: '',
         size: stats.size,
         formattedSize: formatFileSize(stats.size),
         modified: stats.mtime,
         success: true,
         encoding
-      });
+      };
+      
+      if (encoding === 'base64') {
+        entry.content = buffer.toString('base64');
+        entry.mimeType = detectMimeType(buffer, absolutePath);
+      } else if (encoding === 'auto' && isBinaryBuffer(buffer)) {
+        entry.binary = true;
+        entry.mimeType = detectMimeType(buffer, absolutePath);
+      } else {
+        const decoded = decodeText(buffer, encoding);
+        entry.content = decoded.text;
+        entry.encoding = decoded.encoding;
+      }
+      results.push(entry);
       
       summary.successful++;
       summary.totalSize += stats.size;
@@ -320,36 +929,57 @@ const main = async () => {
     console.log('Commands:');
     console.log('  read <file>                           Read a single file');
     console.log('  read-many <file1> <file2> ...         Read multiple files');
-    console.log('  search <pattern> <file1> [file2...]   Search for pattern in files');
+    console.log('  search <pattern> <path1> [path2...]   Search files, directories or globs');
     console.log('  replace <file> <search> <replace>     Replace text in file');
+    console.log('  replace-all <path> <search> <replace> Replace across files, directories or globs');
     console.log('  write <file> <content>                Write content to file');
+    console.log('  patch <diff-file>                     Apply a unified diff (all hunks or none)');
     console.log('');
     console.log('Options:');
-    console.log('  --encoding=<enc>          File encoding (default: utf8)');
+    console.log('  --encoding=<enc>          File encoding: auto (default), base64, utf8, latin1, shift_jis, ...');
+    console.log('  --lines=<from>-<to>       Read only these lines (e.g. 120-180, or 500- to the end)');
+    console.log('  --offset=<n>              Read bytes from this offset instead of lines');
+    console.log('  --length=<n>              Number of bytes to read from --offset');
+    console.log('  --max-bytes=<n>           Cap the content read, cut at a line boundary');
+    console.log('  --line-numbers            Prefix each line read with its number');
     console.log('  --case-insensitive        Case insensitive search/replace');
     console.log('  --whole-word              Match whole words only');
+    console.log('  --regex                   Treat the search pattern as a regular expression');
+    console.log('  --flags=<flags>           Extra regex flags, e.g. s (dot matches newlines) or u');
+    console.log('  --multiline               Let search matches span line boundaries');
+    console.log('  --include=<glob>          Files to search inside directories (repeatable, default: **/*)');
+    console.log('  --exclude=<glob>          Files or directories to skip (repeatable)');
+    console.log('  --no-gitignore            Also search files ignored by .gitignore, .ignore or .chaiignore');
     console.log('  --max-matches=<n>         Maximum search matches (default: 100)');
     console.log('  --context                 Show context lines in search results');
     console.log('  --context-lines=<n>       Number of context lines (default: 2)');
     console.log('  --backup                  Create backup before replace/write');
-    console.log('  --dry-run                 Preview replace operation without changes');
+    console.log('  --dry-run                 Preview replace operation without changes (replace-all prints diffs)');
     console.log('  --append                  Append to file instead of overwriting');
+    console.log('  --expected-hash=<sha256>  Only write if the file still has this content hash');
+    console.log('  --expected-mtime=<ms|iso> Only write if the file was not modified since then');
     console.log('  --create-dirs             Create directories if they don\'t exist');
     console.log('  --progress                Show progress for multi-file operations');
     console.log('  --continue-on-error       Continue processing other files on error');
     console.log('');
     console.log('Examples:');
     console.log('  node read_write_search_file.js read package.json');
+    console.log('  node read_write_search_file.js read styles.css --lines=120-180 --line-numbers');
     console.log('  node read_write_search_file.js search "console.log" src/*.js --context');
+    console.log('  node read_write_search_file.js search "TODO" . --include="**/*.{js,css}" --exclude="dist/**"');
+    console.log('  node read_write_search_file.js search \'class="[^"]*hero\' index.html --regex');
     console.log('  node read_write_search_file.js replace config.js "oldValue" "newValue" --backup');
+    console.log('  node read_write_search_file.js replace-all "**/*.html" "Acme Inc" "Example Co" --dry-run');
     console.log('  node read_write_search_file.js write output.txt "Hello World" --create-dirs');
     console.log('  node read_write_search_file.js read-many *.json --progress');
+    console.log('  node read_write_search_file.js patch changes.diff --dry-run');
     console.log('');
     console.log('Features:');
     console.log('  • Robust error handling with detailed messages');
     console.log('  • File existence checks and validation');
     console.log('  • Automatic backup creation with timestamps');
     console.log('  • Progress tracking for multi-file operations');
+    console.log('  • Atomic writes with optional change detection');
     console.log('  • Context display for search results');
     console.log('  • Dry-run mode for safe testing');
     console.log('  • Flexible encoding support');
@@ -360,7 +990,7 @@ const main = async () => {
   const commandArgs = args.slice(1);
   
   // Parse options
-  const options = {};
+  const options = { logger: console };
   const fileArgs = [];
   
   commandArgs.forEach(arg => {
@@ -368,7 +998,7 @@ const main = async () => {
       const [key, value] = arg.substring(2).split('=');
       switch (key) {
         case 'encoding':
-          options.encoding = value || 'utf8';
+          options.encoding = value || 'auto';
           break;
         case 'case-insensitive':
           options.caseSensitive = false;
@@ -376,6 +1006,42 @@ const main = async () => {
         case 'whole-word':
           options.wholeWord = true;
           break;
+        case 'regex':
+          options.mode = 'regex';
+          break;
+        case 'flags':
+          options.flags = value || '';
+          break;
+        case 'multiline':
+          options.multiline = true;
+          break;
+        case 'include':
+          options.include = [...(options.include || []), value];
+          break;
+        case 'exclude':
+          options.exclude = [...(options.exclude || []), value];
+          break;
+        case 'no-gitignore':
+          options.respectGitignore = false;
+          break;
+        case 'lines': {
+          const [from, to] = (value || '').split('-');
+          if (from) options.startLine = parseInt(from);
+          if (to) options.endLine = parseInt(to);
+          break;
+        }
+        case 'offset':
+          options.offset = parseInt(value) || 0;
+          break;
+        case 'length':
+          options.length = parseInt(value) || 0;
+          break;
+        case 'max-bytes':
+          options.maxBytes = parseInt(value) || undefined;
+          break;
+        case 'line-numbers':
+          options.lineNumbers = true;
+          break;
         case 'max-matches':
           options.maxMatches = parseInt(value) || 100;
           break;
@@ -394,6 +1060,12 @@ const main = async () => {
         case 'append':
           options.append = true;
           break;
+        case 'expected-mtime':
+          options.expectedMtime = /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+          break;
+        case 'expected-hash':
+          options.expectedHash = value;
+          break;
         case 'create-dirs':
           options.createDirs = true;
           break;
@@ -421,14 +1093,25 @@ const main = async () => {
         }
         
         console.log(`📖 Reading file: ${fileArgs[0]}`);
-        const readResult = await read_file(fileArgs[0], options.encoding);
+        const readResult = await read_file(fileArgs[0], options.encoding, options);
         
         console.log('\n📊 READ SUMMARY:');
         console.log('================');
         console.log(`📄 File: ${readResult.filePath}`);
         console.log(`📏 Size: ${readResult.formattedSize || formatFileSize(readResult.size)}`);
         console.log(`📅 Modified: ${readResult.modified.toLocaleString()}`);
-        console.log(`🔤 Encoding: ${readResult.encoding}`);
+        console.log(`🔤 Encoding: ${readResult.encoding}${readResult.bom ? ' (BOM)' : ''}`);
+        if (readResult.mimeType) {
+          console.log(`🏷️  Type: ${readResult.mimeType}${readResult.binary ? ' (binary; read it with --encoding=base64)' : ''}`);
+        }
+        if (readResult.offset !== undefined) {
+          console.log(`📍 Bytes: ${readResult.offset}-${readResult.offset + readResult.length} of ${readResult.size}`);
+        } else if (readResult.startLine !== undefined) {
+          console.log(`📍 Lines: ${readResult.startLine}-${readResult.endLine} of ${readResult.totalLines}`);
+        }
+        if (readResult.truncated) {
+          console.log(`✂️  Truncated: continue with ${readResult.nextOffset !== undefined ? `--offset=${readResult.nextOffset}` : `--lines=${readResult.nextStartLine}-`}`);
+        }
         console.log(`\n📄 Content:\n${readResult.content}`);
         break;
         
@@ -454,6 +1137,7 @@ const main = async () => {
             console.log(`\n📄 ${result.file}`);
             console.log(`   Size: ${result.formattedSize}`);
             console.log(`   Modified: ${result.modified.toLocaleString()}`);
+            console.log(`   ${result.binary ? `Binary: ${result.mimeType}` : `Encoding: ${result.encoding}`}`);
           } else {
             console.log(`\n❌ ${result.file}: ${result.error}`);
           }
@@ -462,44 +1146,58 @@ const main = async () => {
         
       case 'search':
         if (fileArgs.length < 2) {
-          console.log('❌ Please provide a search pattern and at least one file.');
-          console.log('Usage: node read_write_search_file.js search <pattern> <file1> [file2...] [options]');
+          console.log('❌ Please provide a search pattern and at least one file, directory or glob.');
+          console.log('Usage: node read_write_search_file.js search <pattern> <path1> [path2...] [options]');
           process.exit(1);
         }
         
         const pattern = fileArgs[0];
         const searchFiles = fileArgs.slice(1);
         
-        console.log(`🔍 Searching for "${pattern}" in ${searchFiles.length} file(s)...`);
-        const searchResult = await search_file_content(searchFiles, pattern, options);
+        console.log(`🔍 Searching for "${pattern}" in ${searchFiles.join(', ')}...`);
+        
+        // Print each file's matches as soon as it has been searched
+        let searchSummary;
+        for await (const event of search_file_content_stream(searchFiles, pattern, options)) {
+          if (event.type === 'done') {
+            searchSummary = event.summary;
+            continue;
+          }
+          if (event.type !== 'file') continue;
+          console.log(`\n📄 ${path.relative(process.cwd(), event.file)} (${event.count} match${event.count === 1 ? '' : 'es'})`);
+          event.matches.forEach(match => {
+            console.log(`  ${match.line}${match.endLine ? `-${match.endLine}` : ''}:`);
+            if (match.endLine) {
+              match.content.split('\n').forEach(line => console.log(`   ${line}`));
+            } else {
+              console.log(`   ${match.content}`);
+              console.log(`   ${''.padStart(match.position + 3, ' ')}${''.padStart(match.match.length, '^')}`);
+            }
+            
+            if (match.context) {
+              console.log('   Context:');
+              match.context.forEach(ctx => {
+                const marker = ctx.isMatch ? '→' : ' ';
+                console.log(`   ${marker} ${ctx.line}: ${ctx.content}`);
+              });
+            }
+          });
+        }
         
         console.log('\n📊 SEARCH SUMMARY:');
         console.log('==================');
         console.log(`🔍 Pattern: "${pattern}"`);
-        console.log(`📁 Files searched: ${searchResult.summary.totalFiles}`);
-        console.log(`📄 Files with matches: ${searchResult.summary.filesWithMatches}`);
-        console.log(`🎯 Total matches: ${searchResult.summary.totalMatches}`);
-        
-        if (searchResult.summary.errors.length > 0) {
-          console.log(`❌ Errors: ${searchResult.summary.errors.length}`);
-          searchResult.summary.errors.forEach(error => console.log(`   ${error}`));
+        console.log(`📁 Files searched: ${searchSummary.filesSearched} of ${searchSummary.totalFiles}`);
+        console.log(`📄 Files with matches: ${searchSummary.filesWithMatches}`);
+        console.log(`🎯 Total matches: ${searchSummary.totalMatches}${searchSummary.truncated ? ` (stopped at --max-matches=${options.maxMatches || 100})` : ''}`);
+        if (searchSummary.binaryFilesSkipped > 0) {
+          console.log(`⏭️  Binary files skipped: ${searchSummary.binaryFilesSkipped}`);
         }
         
-        console.log('\n🎯 MATCHES:');
-        console.log('===========');
-        searchResult.results.forEach(match => {
-          console.log(`\n📄 ${path.basename(match.file)}:${match.line}`);
-          console.log(`   ${match.content}`);
-          console.log(`   ${''.padStart(match.position + 3, ' ')}${''.padStart(match.match.length, '^')}`);
-          
-          if (match.context) {
-            console.log('   Context:');
-            match.context.forEach(ctx => {
-              const marker = ctx.isMatch ? '→' : ' ';
-              console.log(`   ${marker} ${ctx.line}: ${ctx.content}`);
-            });
-          }
-        });
+        if (searchSummary.errors.length > 0) {
+          console.log(`❌ Errors: ${searchSummary.errors.length}`);
+          searchSummary.errors.forEach(error => console.log(`   ${error}`));
+        }
         break;
         
       case 'replace':
@@ -532,6 +1230,47 @@ const main = async () => {
         }
         break;
         
+      case 'replace-all': {
+        if (fileArgs.length < 3) {
+          console.log('❌ Please provide a path or glob, search value, and replace value.');
+          console.log('Usage: node read_write_search_file.js replace-all <path|glob> <search> <replace> [options]');
+          process.exit(1);
+        }
+
+        const [target, search, replacement] = fileArgs;
+        console.log(`🔄 Replacing "${search}" with "${replacement}" in ${target}...`);
+        if (options.dryRun) {
+          console.log('🧪 DRY RUN MODE - No changes will be made');
+        }
+
+        const replaceAllResult = await replace_all(target, search, replacement, options);
+        replaceAllResult.files.forEach(file => {
+          if (file.diff) console.log(`\n${file.diff}`);
+          console.log(`📄 ${path.relative(process.cwd(), file.file)}: ${file.replacements} replacement(s), ${file.sizeDifference >= 0 ? '+' : ''}${file.sizeDifference} bytes`);
+        });
+
+        const replaceSummary = replaceAllResult.summary;
+        console.log('\n📊 REPLACE-ALL SUMMARY:');
+        console.log('=======================');
+        console.log(`📁 Files searched: ${replaceSummary.filesSearched}`);
+        console.log(`✏️  Files changed: ${replaceSummary.filesChanged}`);
+        console.log(`🔄 Replacements: ${replaceSummary.totalReplacements}`);
+        if (replaceSummary.binaryFilesSkipped > 0) {
+          console.log(`⏭️  Binary files skipped: ${replaceSummary.binaryFilesSkipped}`);
+        }
+        if (replaceAllResult.backupDir) {
+          console.log(`📄 Backup created: ${replaceAllResult.backupDir}`);
+        }
+        if (replaceSummary.errors.length > 0) {
+          console.log(`❌ Errors: ${replaceSummary.errors.length}`);
+          replaceSummary.errors.forEach(error => console.log(`   ${error}`));
+        }
+        if (options.dryRun) {
+          console.log('🧪 This was a dry run - no actual changes were made');
+        }
+        break;
+      }
+
       case 'write':
         if (fileArgs.length < 2) {
           console.log('❌ Please provide file path and content.');
@@ -552,11 +1291,42 @@ const main = async () => {
         console.log(`🔤 Encoding: ${writeResult.encoding}`);
         console.log(`⚡ Operation: ${writeResult.operation}`);
         console.log(`📅 Timestamp: ${writeResult.created}`);
+        console.log(`🔑 SHA-256: ${writeResult.hash}`);
         break;
         
+      case 'patch':
+        if (fileArgs.length === 0) {
+          console.log('❌ Please provide a unified diff file.');
+          console.log('Usage: node read_write_search_file.js patch <diff-file> [options]');
+          process.exit(1);
+        }
+
+        console.log(`🩹 Applying ${fileArgs[0]}...`);
+        if (options.dryRun) {
+          console.log('🧪 DRY RUN MODE - No changes will be made');
+        }
+
+        const patchResult = await apply_patch(parse_patch(await fs.readFile(fileArgs[0], 'utf8')), options);
+
+        console.log('\n📊 PATCH SUMMARY:');
+        console.log('=================');
+        patchResult.hunks.forEach(report => {
+          const location = report.ok ? `line ${report.line}` : report.error;
+          console.log(`${report.ok ? '✅' : '❌'} Hunk ${report.hunk} ${path.relative(process.cwd(), report.file)}: ${location}`);
+        });
+        patchResult.files.forEach(file => {
+          console.log(`📄 ${file.file}${file.created ? ' (new)' : ''}: ${file.sizeDifference >= 0 ? '+' : ''}${file.sizeDifference} bytes`);
+        });
+        console.log(`✅ Applied: ${patchResult.applied ? 'Yes' : 'No'}`);
+
+        if (!patchResult.applied && !options.dryRun) {
+          process.exit(1);
+        }
+        break;
+
       default:
         console.log(`❌ Unknown command: ${command}`);
-        console.log('Available commands: read, read-many, search, replace, write');
+        console.log('Available commands: read, read-many, search, replace, replace-all, write, patch');
         console.log('Use --help for detailed usage information.');
         process.exit(1);
     }
@@ -578,10 +1348,15 @@ const main = async () => {
 // Export functions for use in other modules
 export {
   read_file,
+  expandSearchTargets,
   search_file_content,
+  search_file_content_stream,
   replace,
+  replace_all,
   write_file,
   read_many_files,
+  parse_patch,
+  apply_patch,
   fileExists,
   formatFileSize
 };
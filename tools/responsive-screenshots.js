@@ -1,8 +1,16 @@
 #!/usr/bin/env node
 
-const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
+import puppeteer from 'puppeteer';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import { withFileLock, writeFileAtomic } from './atomic_file.js';
+import { silentLogger } from './logger.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Helper function to generate a consistent website key from URL
 const getWebsiteKey = (url) => {
@@ -15,7 +23,7 @@ const getWebsiteKey = (url) => {
 };
 
 // Helper function to read websites.json
-const readWebsitesJson = () => {
+const readWebsitesJson = (logger = silentLogger) => {
   const jsonPath = path.join(__dirname, '..', 'data', 'screenshots', 'websites.json');
   try {
     if (fs.existsSync(jsonPath)) {
@@ -24,26 +32,25 @@ const readWebsitesJson = () => {
     }
     return {};
   } catch (error) {
-    console.log('⚠️  Error reading websites.json, starting with empty data:', error.message);
+    logger.log('⚠️  Error reading websites.json, starting with empty data:', error.message);
     return {};
   }
 };
 
-// Helper function to write websites.json
-const writeWebsitesJson = (data) => {
+// Helper function to write websites.json. `update` is the new data, or a function that
+// receives the current data and returns the new data; it runs under a lock file so concurrent
+// runs do not overwrite each other's entries, and the file is replaced atomically.
+const writeWebsitesJson = async (update, logger = silentLogger) => {
   const jsonPath = path.join(__dirname, '..', 'data', 'screenshots', 'websites.json');
-  const dirPath = path.dirname(jsonPath);
-  
-  // Ensure directory exists
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
   
   try {
-    fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2), 'utf8');
+    await withFileLock(jsonPath, async () => {
+      const data = typeof update === 'function' ? update(readWebsitesJson(logger)) : update;
+      await writeFileAtomic(jsonPath, JSON.stringify(data, null, 2));
+    });
     return true;
   } catch (error) {
-    console.log('❌ Error writing websites.json:', error.message);
+    logger.log('❌ Error writing websites.json:', error.message);
     return false;
   }
 };
@@ -53,9 +60,13 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
     timeout = 60000,
     retries = 3,
     waitUntil = 'domcontentloaded',
-    userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    logger = silentLogger,
+    signal // AbortSignal: closes the browser and rejects with the abort reason
   } = options;
 
+  signal?.throwIfAborted();
+
   const viewports = [
     { width: 375, height: 667, name: 'mobile' },
     { width: 768, height: 1024, name: 'tablet' },
@@ -64,11 +75,11 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
   
   // Check if screenshots already exist for this website
   const websiteKey = getWebsiteKey(url);
-  const existingWebsites = readWebsitesJson();
+  const existingWebsites = readWebsitesJson(logger);
   
   if (existingWebsites[websiteKey]) {
-    console.log(`✅ Screenshots already exist for ${websiteKey}`);
-    console.log(`📁 Returning existing screenshot paths...`);
+    logger.log(`✅ Screenshots already exist for ${websiteKey}`);
+    logger.log(`📁 Returning existing screenshot paths...`);
     
     const existingData = existingWebsites[websiteKey];
     const screenshots = [];
@@ -92,7 +103,7 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
           cached: true
         });
       } else {
-        console.log(`⚠️  Cached file not found: ${fullPath}`);
+        logger.log(`⚠️  Cached file not found: ${fullPath}`);
         allFilesExist = false;
         break;
       }
@@ -100,20 +111,20 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
     
     // If all cached files exist, return them
     if (allFilesExist && screenshots.length === viewports.length) {
-      console.log(`🎉 Returning ${screenshots.length} cached screenshots!`);
+      logger.log(`🎉 Returning ${screenshots.length} cached screenshots!`);
       return screenshots;
     } else {
-      console.log(`⚠️  Some cached files are missing, taking new screenshots...`);
+      logger.log(`⚠️  Some cached files are missing, taking new screenshots...`);
     }
   }
   
-  console.log(`📸 Taking responsive screenshots of: ${url}`);
-  console.log(`⚙️  Settings: timeout=${timeout}ms, retries=${retries}, waitUntil=${waitUntil}`);
+  logger.log(`📸 Taking responsive screenshots of: ${url}`);
+  logger.log(`⚙️  Settings: timeout=${timeout}ms, retries=${retries}, waitUntil=${waitUntil}`);
   
   // Create output directory if it doesn't exist
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
-    console.log(`📁 Created directory: ${outputDir}`);
+    logger.log(`📁 Created directory: ${outputDir}`);
   }
   
   const browser = await puppeteer.launch({
@@ -129,6 +140,17 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
     ]
   });
   
+  // Closing the browser makes every pending page call reject, so an abort ends the run promptly
+  let closing = null;
+  const closeOnAbort = () => {
+    closing = browser.close().catch(() => {});
+  };
+  if (signal?.aborted) {
+    await browser.close();
+    throw signal.reason;
+  }
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
+
   const page = await browser.newPage();
   
   // Set user agent to avoid being blocked
@@ -149,7 +171,7 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
     let lastError;
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
-        console.log(`🔄 Navigation attempt ${attempt}/${retries}...`);
+        logger.log(`🔄 Navigation attempt ${attempt}/${retries}...`);
         
         await page.goto(url, { 
           waitUntil: waitUntil,
@@ -160,22 +182,23 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
         try {
           await page.waitForSelector('body', { timeout: 5000 });
         } catch (e) {
-          console.log('⚠️  Body selector not found, continuing anyway...');
+          logger.log('⚠️  Body selector not found, continuing anyway...');
         }
         
         // Additional wait for dynamic content
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await sleep(2000, undefined, { signal });
         
-        console.log('✅ Page loaded successfully!');
+        logger.log('✅ Page loaded successfully!');
         break; // Success, exit retry loop
         
       } catch (error) {
+        if (signal?.aborted) throw error;
         lastError = error;
-        console.log(`❌ Attempt ${attempt} failed: ${error.message}`);
+        logger.log(`❌ Attempt ${attempt} failed: ${error.message}`);
         
         if (attempt < retries) {
-          console.log(`⏳ Waiting 3 seconds before retry...`);
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          logger.log(`⏳ Waiting 3 seconds before retry...`);
+          await sleep(3000, undefined, { signal });
         }
       }
     }
@@ -190,13 +213,13 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
     const screenshots = [];
     
     for (const viewport of viewports) {
-      console.log(`📱 Taking ${viewport.name} screenshot (${viewport.width}x${viewport.height})`);
+      logger.log(`📱 Taking ${viewport.name} screenshot (${viewport.width}x${viewport.height})`);
       
       try {
         await page.setViewport(viewport);
         
         // Wait for responsive changes to take effect
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        await sleep(1500, undefined, { signal });
         
         // Wait for any lazy-loaded content
         try {
@@ -210,7 +233,7 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
             });
           });
         } catch (e) {
-          console.log('⚠️  Could not wait for window load event, continuing...');
+          logger.log('⚠️  Could not wait for window load event, continuing...');
         }
         
         // Scroll to trigger lazy loading
@@ -248,10 +271,11 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
           filename: filename
         });
         
-        console.log(`✅ Saved: ${filename}`);
+        logger.log(`✅ Saved: ${filename}`);
         
       } catch (error) {
-        console.log(`❌ Failed to take ${viewport.name} screenshot: ${error.message}`);
+        if (signal?.aborted) throw error;
+        logger.log(`❌ Failed to take ${viewport.name} screenshot: ${error.message}`);
         // Continue with other viewports even if one fails
         screenshots.push({
           viewport: viewport.name,
@@ -263,8 +287,9 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
       }
     }
     
+    signal?.removeEventListener('abort', closeOnAbort);
     await browser.close();
-    console.log('🎉 All screenshots completed!');
+    logger.log('🎉 All screenshots completed!');
     
     // Update websites.json only if we have successful screenshots
     const successfulScreenshots = screenshots.filter(shot => !shot.error && shot.file);
@@ -276,22 +301,27 @@ const takeResponsiveScreenshots = async (url, outputDir = path.join(__dirname, '
       
       // Only update if we have all three viewport screenshots
       if (successfulScreenshots.length === viewports.length) {
-        const websites = readWebsitesJson();
-        websites[websiteKey] = websiteData;
+        const updated = await writeWebsitesJson(websites => ({ ...websites, [websiteKey]: websiteData }), logger);
         
-        if (writeWebsitesJson(websites)) {
-          console.log(`📝 Updated websites.json with screenshots for ${websiteKey}`);
+        if (updated) {
+          logger.log(`📝 Updated websites.json with screenshots for ${websiteKey}`);
         } else {
-          console.log(`⚠️  Failed to update websites.json`);
+          logger.log(`⚠️  Failed to update websites.json`);
         }
       } else {
-        console.log(`⚠️  Not all screenshots were successful (${successfulScreenshots.length}/${viewports.length}), skipping websites.json update`);
+        logger.log(`⚠️  Not all screenshots were successful (${successfulScreenshots.length}/${viewports.length}), skipping websites.json update`);
       }
     }
     
     return screenshots;
     
   } catch (error) {
+    signal?.removeEventListener('abort', closeOnAbort);
+    if (signal?.aborted) {
+      await closing;
+      logger.log('⏹️  Aborted, browser closed');
+      throw signal.reason;
+    }
     await browser.close();
     throw error;
   }
@@ -344,7 +374,7 @@ const main = async () => {
   const outputDir = args.find(arg => !arg.startsWith('--') && arg !== url) || path.join(__dirname, '..', 'data', 'screenshots');
   
   // Parse options
-  const options = {};
+  const options = { logger: console };
   args.forEach(arg => {
     if (arg.startsWith('--timeout=')) {
       options.timeout = parseInt(arg.split('=')[1]) || 60000;
@@ -409,7 +439,7 @@ const main = async () => {
 };
 
 // Export the function for use in other modules
-module.exports = { 
+export { 
   takeResponsiveScreenshots,
   getWebsiteKey,
   readWebsitesJson,
@@ -417,6 +447,6 @@ module.exports = {
 };
 
 // Run CLI if this file is executed directly
-if (require.main === module) {
+if (process.argv[1] === __filename) {
   main();
 }
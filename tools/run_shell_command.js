@@ -1,10 +1,12 @@
 #!/usr/bin/env node
 
-import { execSync, spawn } from 'child_process';
+import { spawn } from 'child_process';
+import { setTimeout as sleep } from 'timers/promises';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import { silentLogger } from './logger.js';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -42,6 +44,90 @@ const isLongRunningCommand = (command) => {
   return longRunningPatterns.some(pattern => pattern.test(command));
 };
 
+// Run a command to completion like execSync, but asynchronously so it can be aborted:
+// resolves with stdout, rejects with an error carrying stdout, stderr, status and signal.
+// Non-interactive commands get their own process group, so a timeout or abort also stops what
+// they started themselves (npm run dev, sh -c "a && b") instead of leaving it orphaned.
+const execCommand = (command, { cwd, timeout, encoding, env, shell, maxBuffer, interactive, signal }) => {
+  return new Promise((resolve, reject) => {
+    const detached = !interactive;
+    const child = spawn(command, [], {
+      cwd,
+      env,
+      shell,
+      detached,
+      stdio: interactive ? 'inherit' : 'pipe'
+    });
+
+    const killTree = () => {
+      try {
+        process.kill(detached ? -child.pid : child.pid, 'SIGTERM');
+      } catch {
+        child.kill();
+      }
+    };
+
+    const stdout = [];
+    const stderr = [];
+    let outputSize = 0;
+    let bufferExceeded = false;
+    let timedOut = false;
+    const collect = (chunks) => (data) => {
+      outputSize += data.length;
+      if (outputSize > maxBuffer) {
+        bufferExceeded = true;
+        killTree();
+        return;
+      }
+      chunks.push(data);
+    };
+    child.stdout?.on('data', collect(stdout));
+    child.stderr?.on('data', collect(stderr));
+
+    const output = () => ({
+      stdout: Buffer.concat(stdout).toString(encoding),
+      stderr: Buffer.concat(stderr).toString(encoding)
+    });
+
+    const timer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      killTree();
+    }, timeout) : null;
+    const onAbort = () => {
+      killTree();
+      reject(Object.assign(new Error(`Command aborted: ${command}`), output()));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const cleanUp = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    child.on('error', (error) => {
+      cleanUp();
+      Object.assign(error, output());
+      reject(error);
+    });
+
+    child.on('close', (status, exitSignal) => {
+      cleanUp();
+      if (signal?.aborted) return; // already rejected by onAbort
+      const { stdout: out, stderr: err } = output();
+      if (status === 0 && !bufferExceeded && !timedOut) {
+        resolve(interactive ? null : out);
+        return;
+      }
+      const reason = bufferExceeded
+        ? 'maxBuffer exceeded'
+        : timedOut ? `timed out after ${timeout}ms`
+          : exitSignal ? `killed by ${exitSignal}` : `exit code ${status}`;
+      const error = new Error(`Command failed (${reason}): ${command}${err ? `\n${err}` : ''}`);
+      Object.assign(error, { stdout: out, stderr: err, status, signal: exitSignal });
+      reject(error);
+    });
+  });
+};
+
 // Main function to execute shell commands
 const runShellCommand = async (command, options = {}) => {
   const {
@@ -54,18 +140,22 @@ const runShellCommand = async (command, options = {}) => {
     env = {},
     shell = true,
     maxBuffer = 1024 * 1024 * 10, // 10MB default
-    silent = false
+    silent = false,
+    logger = silentLogger,
+    signal // AbortSignal: kills the running command and rejects with the abort reason
   } = options;
 
+  signal?.throwIfAborted();
+
   // Safety validation
   if (!isCommandSafe(command)) {
     throw new Error('❌ Command appears to be potentially dangerous and was blocked for safety');
   }
 
   if (!silent) {
-    console.log(`🔄 Executing: ${command}`);
-    console.log(`📁 Working directory: ${cwd}`);
-    console.log(`⏱️  Timeout: ${timeout}ms, Retries: ${retries}`);
+    logger.log(`🔄 Executing: ${command}`);
+    logger.log(`📁 Working directory: ${cwd}`);
+    logger.log(`⏱️  Timeout: ${timeout}ms, Retries: ${retries}`);
   }
 
   // Validate working directory
@@ -82,7 +172,7 @@ const runShellCommand = async (command, options = {}) => {
   // Handle background processes
   if (background || isLongRunningCommand(command)) {
     if (!silent) {
-      console.log('🔄 Running command in background...');
+      logger.log('🔄 Running command in background...');
     }
     
     return new Promise((resolve, reject) => {
@@ -141,25 +231,26 @@ const runShellCommand = async (command, options = {}) => {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       if (!silent && attempt > 1) {
-        console.log(`🔄 Retry attempt ${attempt}/${retries}...`);
+        logger.log(`🔄 Retry attempt ${attempt}/${retries}...`);
       }
 
       const startTime = Date.now();
       
-      const output = execSync(command, {
+      const output = await execCommand(command, {
         cwd,
         timeout,
         encoding,
         env: execEnv,
-        stdio: interactive ? 'inherit' : 'pipe',
         shell,
-        maxBuffer
+        maxBuffer,
+        interactive,
+        signal
       });
 
       const duration = Date.now() - startTime;
       
       if (!silent) {
-        console.log(`✅ Command completed successfully in ${duration}ms`);
+        logger.log(`✅ Command completed successfully in ${duration}ms`);
       }
 
       return {
@@ -173,11 +264,18 @@ const runShellCommand = async (command, options = {}) => {
       };
 
     } catch (error) {
+      // An aborted command is not retried; the caller sees the abort
+      if (signal?.aborted) {
+        if (!silent) {
+          logger.log('⏹️  Command aborted');
+        }
+        throw signal.reason;
+      }
       lastError = error;
       const duration = Date.now() - (Date.now() - (error.timeout || timeout));
       
       if (!silent) {
-        console.log(`❌ Attempt ${attempt} failed: ${error.message}`);
+        logger.log(`❌ Attempt ${attempt} failed: ${error.message}`);
       }
 
       // Don't retry for certain types of errors
@@ -187,9 +285,9 @@ const runShellCommand = async (command, options = {}) => {
 
       if (attempt < retries) {
         if (!silent) {
-          console.log(`⏳ Waiting 2 seconds before retry...`);
+          logger.log(`⏳ Waiting 2 seconds before retry...`);
         }
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await sleep(2000, undefined, { signal });
       }
     }
   }
@@ -206,7 +304,7 @@ const runShellCommand = async (command, options = {}) => {
   };
 
   if (!silent) {
-    console.log(`❌ Command failed after ${retries} attempts`);
+    logger.log(`❌ Command failed after ${retries} attempts`);
   }
 
   return finalError;
@@ -260,7 +358,7 @@ const main = async () => {
 
   // Extract command (everything that doesn't start with --)
   const commandParts = [];
-  const options = {};
+  const options = { logger: console };
   const envVars = {};
 
   for (let i = 0; i < args.length; i++) {
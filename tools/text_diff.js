@@ -0,0 +1,101 @@
+// Line-based unified diff for showing file changes (/diff). Common leading and trailing lines
+// are trimmed before the LCS table is built; when the remaining block is still too large the
+// whole block is shown as removed and re-added rather than computing a minimal diff.
+
+const MAX_TABLE_CELLS = 4_000_000;
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Edit script as [{ type: ' ' | '-' | '+', line }]
+const diffLines = (oldLines, newLines) => {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const head = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  const tail = oldLines.slice(oldEnd).map(line => ({ type: ' ', line }));
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  if ((a.length + 1) * (b.length + 1) > MAX_TABLE_CELLS) {
+    return [...head, ...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line })), ...tail];
+  }
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      middle.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: '-', line: a[i++] });
+    } else {
+      middle.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) middle.push({ type: '-', line: a[i++] });
+  while (j < b.length) middle.push({ type: '+', line: b[j++] });
+
+  return [...head, ...middle, ...tail];
+};
+
+// Unified diff text, or '' when the contents are equal
+export const unifiedDiff = (oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) => {
+  if (oldText === newText) return '';
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Group changed lines (plus context) into hunks
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  edits.forEach((edit, index) => {
+    if (edit.type !== ' ') {
+      const from = Math.max(0, index - context);
+      if (!current || from > current.end) {
+        current = { start: from, end: index + context + 1 };
+        hunks.push(current);
+      } else {
+        current.end = index + context + 1;
+      }
+    }
+  });
+
+  const positions = edits.map(edit => {
+    const position = { oldLine, newLine };
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+    return position;
+  });
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = edits.slice(start, Math.min(end, edits.length));
+    const oldCount = slice.filter(edit => edit.type !== '+').length;
+    const newCount = slice.filter(edit => edit.type !== '-').length;
+    const { oldLine: oldStart, newLine: newStart } = positions[start];
+    output.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    slice.forEach(edit => output.push(`${edit.type}${edit.line}`));
+  });
+  return output.join("\n");
+};
@@ -0,0 +1,143 @@
+// Non-interactive CLI modes: run one agent task, print the outcome and return the exit code.
+//   chai run --url <url> [--out <dir>] [options]
+//   echo "prompt" | chai --print [options]
+
+import path from 'path';
+import { WebsiteCloneAgent } from '../agent/agent.js';
+import { attachReporter } from '../agent/reporters.js';
+import { PermissionPolicy, loadPermissionConfig } from '../agent/permissions.js';
+import { Workspace } from '../agent/workspace.js';
+import { TerminalReporter } from './terminal_reporter.js';
+
+const USAGE = [
+  'Usage:',
+  '  chai run --url <url> [--out <dir>] [options]',
+  '  echo "<prompt>" | chai --print [options]',
+  '',
+  'Options:',
+  '  --json            Print { final, cancelled, budgetExceeded, result, artifacts, steps, usage, sessionId } to stdout',
+  '  --max-steps N     Maximum agent steps (default: 20)',
+  '  --max-tokens N    Stop once the run used N tokens',
+  '  --max-cost USD    Stop once the run cost this many dollars',
+  '  --yes             Approve every tool call (otherwise calls needing approval are denied)',
+  '  --verbose         Print the tools\' progress output (always written to the session\'s debug.log)',
+  '',
+  'Exits 0 when the agent returns a final result, 1 otherwise.'
+].join('\n');
+
+// Value of --name <value> or --name=<value>
+const getOption = (args, name) => {
+  const prefix = `--${name}=`;
+  const inline = args.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = args.indexOf(`--${name}`);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) return args[index + 1];
+  return null;
+};
+
+const readStdin = async () => {
+  if (process.stdin.isTTY) return '';
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8').trim();
+};
+
+const buildClonePrompt = (url, outDir) => {
+  const target = outDir ? ` Write every file of the clone under ${outDir}.` : '';
+  return `Clone the website ${url} as a static HTML/CSS/JS site.${target} Work autonomously without asking questions and finish with the final JSON result.`;
+};
+
+// Resolve the task prompt from the arguments (run) or stdin / positional text (--print)
+const resolvePrompt = async (args) => {
+  if (args[0] === 'run') {
+    const url = getOption(args, 'url');
+    if (!url) return null;
+    return buildClonePrompt(url, getOption(args, 'out'));
+  }
+  const valueFlags = ['--max-steps', '--max-tokens', '--max-cost'];
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && valueFlags.includes(args[i - 1])));
+  return positional.join(' ').trim() || await readStdin();
+};
+
+export const runHeadless = async (args) => {
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const json = args.includes('--json');
+  const prompt = await resolvePrompt(args);
+  if (!prompt) {
+    console.error(`❌ Missing ${args[0] === 'run' ? '--url' : 'prompt (pass it on stdin)'}\n${USAGE}`);
+    return 1;
+  }
+
+  // Nobody can answer approval prompts here: calls that would ask are denied unless --yes.
+  // The clone output directory is always writable.
+  let permissionConfig;
+  try {
+    permissionConfig = loadPermissionConfig();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+  if (args.includes('--yes')) permissionConfig.defaultDecision = 'allow';
+  const workspace = new Workspace();
+  const permissions = new PermissionPolicy(permissionConfig, { baseDir: workspace.root });
+  const outDir = args[0] === 'run' ? getOption(args, 'out') : null;
+  if (outDir) {
+    if (!workspace.contains(path.resolve(workspace.root, outDir))) {
+      console.error(`❌ --out must be inside the workspace ${workspace.root} (set CHAI_WORKSPACE to change it)`);
+      return 1;
+    }
+    permissions.addOutputDir(outDir);
+  }
+
+  const agent = new WebsiteCloneAgent({
+    workspace,
+    permissions,
+    maxSteps: parseInt(getOption(args, 'max-steps'), 10) || 20,
+    maxTokens: parseInt(getOption(args, 'max-tokens'), 10) || undefined,
+    maxCostUsd: parseFloat(getOption(args, 'max-cost')) || undefined,
+    streaming: !json,
+    verbose: args.includes('--verbose')
+  });
+  attachReporter(agent, new TerminalReporter({ output: json ? process.stderr : process.stdout }));
+
+  // First Ctrl+C cancels the run (exit code 1), a second one exits immediately
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    console.error('\n⏹️  Cancelling... (press Ctrl+C again to quit)');
+    controller.abort();
+  });
+
+  let outcome;
+  try {
+    outcome = await agent.run(prompt, { signal: controller.signal });
+  } catch (err) {
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ final: false, error: err.message, steps: agent.step, usage: agent.runUsage, sessionId: agent.sessionId }, null, 2)}\n`);
+    }
+    console.error(`❌ AI Error: ${err.message}`);
+    return 1;
+  }
+
+  const result = outcome.result || null;
+  if (json) {
+    process.stdout.write(`${JSON.stringify({
+      final: outcome.final,
+      cancelled: Boolean(outcome.cancelled),
+      budgetExceeded: outcome.budgetExceeded || null,
+      result,
+      artifacts: result && Array.isArray(result.artifacts) ? result.artifacts : [],
+      steps: agent.step,
+      usage: outcome.usage,
+      sessionId: agent.sessionId
+    }, null, 2)}\n`);
+  } else if (!outcome.final) {
+    if (outcome.cancelled) console.error('⏹️  Run cancelled.');
+    else if (!outcome.budgetExceeded) console.error(`⚠️  No final result after ${agent.step} steps (max steps reached).`);
+  }
+  return outcome.final ? 0 : 1;
+};
@@ -0,0 +1,274 @@
+// Slash commands for the chat REPL (/help lists them). Each handler gets the text after the
+// command name and a context of { agent, output, busy, resume, pending } and may be async.
+// Only commands marked whileBusy may run while the agent is working.
+
+import path from 'path';
+import { listSessions } from '../agent/session_store.js';
+import { toolDefinitions } from '../agent/tool_definitions.js';
+import { formatUsage } from '../agent/usage.js';
+
+const preview = (text, length = 100) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length)}…` : flat;
+};
+
+const messageText = (message) => {
+  const { content } = message;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    const text = content.map(part => (part && part.type === 'text' ? part.text : '')).join(' ');
+    const images = content.filter(part => part && (part.type === 'image_url' || part.type === 'image')).length;
+    return images ? `${text} [${images} image(s)]` : text;
+  }
+  return '';
+};
+
+export const SLASH_COMMANDS = {
+  '/help': {
+    usage: '/help',
+    description: 'Show the available commands',
+    whileBusy: true,
+    run: (_, { output }) => {
+      output('Commands:');
+      Object.values(SLASH_COMMANDS).forEach(command => output(`  ${command.usage.padEnd(16)} ${command.description}`));
+      output('  exit             Quit');
+    }
+  },
+
+  '/reset': {
+    usage: '/reset',
+    description: 'Clear the conversation and start a new session',
+    run: (_, { agent, output }) => {
+      agent.reset();
+      output(`🧹 Conversation cleared. New session: ${agent.sessionId}`);
+    }
+  },
+
+  '/history': {
+    usage: '/history',
+    description: 'Show the messages of the current conversation',
+    whileBusy: true,
+    run: (_, { agent, output }) => {
+      const messages = agent.getHistory();
+      if (messages.length === 0) {
+        output('No messages yet.');
+        return;
+      }
+      messages.forEach((message, index) => {
+        const type = message._getType();
+        const text = type === 'system' ? `(system prompt, ${messageText(message).length} chars)` : preview(messageText(message));
+        const calls = message.tool_calls && message.tool_calls.length
+          ? ` → ${message.tool_calls.map(call => call.name).join(', ')}`
+          : '';
+        output(`${String(index + 1).padStart(3)} ${type.padEnd(6)} ${text}${calls}`);
+      });
+    }
+  },
+
+  '/model': {
+    usage: '/model [name]',
+    description: 'Show or switch the model (same provider)',
+    run: (name, { agent, output }) => {
+      if (!name) {
+        output(`🤖 ${agent.provider} / ${agent.modelName} (${agent.toolMode} tool calls)`);
+        return;
+      }
+      agent.setModel(name);
+      output(`🤖 Switched to ${agent.provider} / ${agent.modelName}`);
+    }
+  },
+
+  '/steps': {
+    usage: '/steps [n]',
+    description: 'Show or change the maximum agent steps per message',
+    whileBusy: true,
+    run: (value, { agent, output }) => {
+      if (!value) {
+        output(`🔢 Max steps: ${agent.maxSteps}`);
+        return;
+      }
+      const steps = parseInt(value, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        output('❌ Usage: /steps <positive number>');
+        return;
+      }
+      agent.maxSteps = steps;
+      output(`🔢 Max steps set to ${steps}`);
+    }
+  },
+
+  '/tools': {
+    usage: '/tools',
+    description: 'List the tools the agent can call',
+    whileBusy: true,
+    run: (_, { agent, output }) => {
+      const names = Object.keys(agent.toolRegistry);
+      const width = Math.max(...names.map(name => name.length));
+      names.forEach(name => {
+        const definition = toolDefinitions[name];
+        output(`  ${name.padEnd(width)}  ${definition ? definition.description : ''}`);
+      });
+    }
+  },
+
+  '/save': {
+    usage: '/save',
+    description: 'Save the session now (it is also saved after every step)',
+    run: async (_, { agent, output }) => {
+      const saved = await agent.saveSession();
+      output(saved
+        ? `💾 Saved session ${agent.sessionId} (resume with: chai --resume ${agent.sessionId})`
+        : '💾 Nothing to save yet.');
+    }
+  },
+
+  '/load': {
+    usage: '/load [id]',
+    description: 'Load a saved session, or list them',
+    run: async (id, { agent, output, resume }) => {
+      if (!id) {
+        const sessions = await listSessions(agent.sessionsDir);
+        if (sessions.length === 0) {
+          output('No saved sessions.');
+          return;
+        }
+        sessions.slice(0, 20).forEach(session => {
+          output(`  ${session.id}  ${session.messageCount} messages  ${session.title || ''}`);
+        });
+        output('Load one with: /load <id>');
+        return;
+      }
+      const session = await agent.loadSession(id);
+      output(`🔁 Loaded session ${session.id} (${session.messages.length} messages)`);
+      if (agent.hasPendingRun() && resume) {
+        output(`↪️  Continuing interrupted run from step ${agent.step + 1}/${agent.maxSteps}`);
+        await resume();
+      }
+    }
+  },
+
+  '/steer': {
+    usage: '/steer <note>',
+    description: 'Add a note to the run in progress (used at its next step)',
+    whileBusy: true,
+    run: (note, { agent, output }) => {
+      if (!note) {
+        output('❌ Usage: /steer <note>');
+        return;
+      }
+      if (!agent.busy) {
+        output('No run in progress; just send the message.');
+        return;
+      }
+      agent.addSteeringNote(note);
+      output('📝 Note queued for the next step of the current run');
+    }
+  },
+
+  '/queue': {
+    usage: '/queue [clear]',
+    description: 'Show (or clear) messages waiting for the current run',
+    whileBusy: true,
+    run: (action, { pending, output }) => {
+      if (action === 'clear') {
+        const count = pending.splice(0).length;
+        output(`🗑️  Removed ${count} queued message(s)`);
+        return;
+      }
+      if (pending.length === 0) {
+        output('No queued messages.');
+        return;
+      }
+      pending.forEach((message, index) => output(`  ${index + 1}. ${preview(message)}`));
+    }
+  },
+
+  '/undo': {
+    usage: '/undo [step]',
+    description: 'Revert the agent\'s file changes of its last step (or from step n of the last run)',
+    run: async (value, { agent, output }) => {
+      const step = value ? parseInt(value, 10) : undefined;
+      if (value && (!Number.isInteger(step) || step < 1)) {
+        output('❌ Usage: /undo [step]');
+        return;
+      }
+      const outcome = await agent.undo({ step });
+      if (outcome.entries.length === 0) {
+        output(step ? `Nothing to undo from step ${step} of the last run.` : 'Nothing to undo.');
+        return;
+      }
+      const relative = (file) => path.relative(agent.workspace.root, file) || file;
+      const steps = [...new Set(outcome.entries.map(entry => entry.step))].join(', ');
+      output(`↩️  Reverted step(s) ${steps} of run ${outcome.entries[0].run}`);
+      outcome.restored.forEach(file => output(`   restored ${relative(file)}`));
+      outcome.removed.forEach(file => output(`   removed  ${relative(file)}`));
+      outcome.conflicts.forEach(file => output(`   ⚠️  kept ${relative(file)} (changed since the agent wrote it)`));
+      outcome.unrestorable.forEach(file => output(`   ⚠️  kept ${relative(file)} (overwritten in an output directory, no pre-image)`));
+      outcome.commands.forEach(command => output(`   ⚠️  not reverted: system.run ${preview(command, 60)}`));
+    }
+  },
+
+  '/diff': {
+    usage: '/diff [step]',
+    description: 'Show the agent\'s file changes in the last run (from step n on)',
+    whileBusy: true,
+    run: async (value, { agent, output }) => {
+      const step = value ? parseInt(value, 10) : undefined;
+      if (value && (!Number.isInteger(step) || step < 1)) {
+        output('❌ Usage: /diff [step]');
+        return;
+      }
+      const { entries, patch, commands } = await agent.diff({ step });
+      if (!patch && commands.length === 0) {
+        output(step ? `No file changes from step ${step} of the last run.` : 'No file changes in the last run.');
+        return;
+      }
+      if (patch) output(patch);
+      commands.forEach(command => output(`⚠️  Changes made by system.run are not tracked: ${preview(command, 60)}`));
+      output(`(${entries.length} checkpoint(s); revert with /undo ${step || Math.min(...entries.map(entry => entry.step))})`);
+    }
+  },
+
+  '/cost': {
+    usage: '/cost',
+    description: 'Show token usage and cost for this session',
+    whileBusy: true,
+    run: (_, { agent, output }) => {
+      output(`🪙 Session (${agent.usage.calls} model calls): ${formatUsage(agent.usage)}`);
+      if (agent.runUsage.calls) output(`   Last run: ${formatUsage(agent.runUsage)}`);
+      const { maxTokens, maxCostUsd } = agent.budget;
+      if (maxTokens || maxCostUsd) {
+        output(`   Run budget: ${[maxTokens && `${maxTokens} tokens`, maxCostUsd && `$${maxCostUsd}`].filter(Boolean).join(', ')}`);
+      }
+    }
+  }
+};
+
+export const isSlashCommand = (line) => line.startsWith('/');
+
+// Run a slash command line; unknown commands and handler errors are reported, never thrown
+export const runSlashCommand = async (line, context) => {
+  const [name, ...rest] = line.trim().split(/\s+/);
+  const command = SLASH_COMMANDS[name.toLowerCase()];
+  if (!command) {
+    context.output(`❌ Unknown command ${name}. Type /help for the list.`);
+    return;
+  }
+  if (context.busy && !command.whileBusy) {
+    context.output(`⏳ ${name} is not available while the agent is running (wait, or press Ctrl+C to cancel)`);
+    return;
+  }
+  try {
+    await command.run(rest.join(' '), context);
+  } catch (err) {
+    context.output(`❌ ${name} failed: ${err.message}`);
+  }
+};
+
+// readline completer: complete command names while the line is a single /word
+export const completeSlashCommand = (line) => {
+  if (!isSlashCommand(line) || /\s/.test(line)) return [[], line];
+  const names = Object.keys(SLASH_COMMANDS);
+  const hits = names.filter(name => name.startsWith(line.toLowerCase()));
+  return [hits.length ? hits : names, line];
+};
@@ -0,0 +1,141 @@
+// Terminal reporter for the chai CLI: live assistant text, a spinner with elapsed time
+// while the model or a tool is working, and one compact line per tool call.
+
+import { formatUsage } from '../agent/usage.js';
+
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const CLEAR_LINE = '\r\x1b[K';
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+export class TerminalReporter {
+  constructor(options = {}) {
+    this.output = options.output || process.stdout;
+    this.isTTY = Boolean(this.output.isTTY);
+    this.spinner = null;
+    this.streamingText = false; // assistant text has been written on the current line
+    this.suppressMessage = false; // current message is the final JSON object, rendered by onFinal
+    this.messageStarted = false;
+  }
+
+  write(text) {
+    this.output.write(text);
+  }
+
+  startSpinner(label) {
+    this.stopSpinner();
+    const startTime = Date.now();
+    if (!this.isTTY) {
+      this.write(`… ${label}\n`);
+      this.spinner = { label, startTime };
+      return;
+    }
+    let frame = 0;
+    const render = () => {
+      const elapsed = formatDuration(Date.now() - startTime);
+      this.write(`${CLEAR_LINE}${SPINNER_FRAMES[frame++ % SPINNER_FRAMES.length]} ${label} ${DIM}${elapsed}${RESET}`);
+    };
+    render();
+    const timer = setInterval(render, 100);
+    timer.unref();
+    this.spinner = { label, startTime, timer };
+  }
+
+  stopSpinner() {
+    if (!this.spinner) return;
+    if (this.spinner.timer) {
+      clearInterval(this.spinner.timer);
+      this.write(CLEAR_LINE);
+    }
+    this.spinner = null;
+  }
+
+  endTextLine() {
+    if (this.streamingText) {
+      this.write(`${RESET}\n`);
+      this.streamingText = false;
+    }
+  }
+
+  onStepStart({ step, maxSteps }) {
+    this.messageStarted = false;
+    this.suppressMessage = false;
+    this.startSpinner(`[${step}/${maxSteps}] thinking`);
+  }
+
+  onToken(text) {
+    // The final answer is a JSON object; it is printed in a friendlier form by onFinal
+    if (!this.messageStarted) {
+      const trimmed = text.trimStart();
+      if (!trimmed) return;
+      this.messageStarted = true;
+      this.suppressMessage = trimmed.startsWith('{') || trimmed.startsWith('```');
+    }
+    if (this.suppressMessage) return;
+
+    this.stopSpinner();
+    if (!this.streamingText) {
+      this.write(DIM);
+      this.streamingText = true;
+    }
+    this.write(text);
+  }
+
+  onModelResponse() {
+    this.stopSpinner();
+    this.endTextLine();
+  }
+
+  onToolCall({ step, maxSteps, tool, reasoning }) {
+    this.endTextLine();
+    if (reasoning) this.write(`${DIM}${reasoning}${RESET}\n`);
+    this.startSpinner(`[${step}/${maxSteps}] ${tool}`);
+  }
+
+  onToolResult({ step, maxSteps, tool, ok, durationMs, error }) {
+    this.stopSpinner();
+    const status = ok ? '✅' : '❌';
+    const detail = ok ? '' : ` ${DIM}${String(error || 'failed').split('\n')[0]}${RESET}`;
+    this.write(`${status} [${step}/${maxSteps}] ${tool} ${DIM}${formatDuration(durationMs)}${RESET}${detail}\n`);
+  }
+
+  onSteer({ step, notes }) {
+    this.stopSpinner();
+    this.endTextLine();
+    this.write(`📝 [step ${step}] Added ${notes.length === 1 ? 'your note' : `${notes.length} notes`} to the run\n`);
+  }
+
+  onCancel({ step }) {
+    this.stopSpinner();
+    this.endTextLine();
+    this.write(`⏹️  Cancelled at step ${step}\n`);
+  }
+
+  // The error itself is printed by whoever awaited the run; just leave a clean line
+  onError() {
+    this.stopSpinner();
+    this.endTextLine();
+  }
+
+  onBudget({ reason, usage }) {
+    this.stopSpinner();
+    this.endTextLine();
+    this.write(`💸 Run stopped: ${reason}\n${DIM}${formatUsage(usage)}${RESET}\n`);
+  }
+
+  onFinal(json, { usage } = {}) {
+    this.stopSpinner();
+    this.endTextLine();
+    this.write('\n=== Final Result ===\n');
+    if (json.summary) this.write(`${json.summary}\n`);
+    if (Array.isArray(json.artifacts) && json.artifacts.length > 0) {
+      this.write('Artifacts:\n');
+      json.artifacts.forEach(artifact => this.write(`  • ${artifact}\n`));
+    }
+    if (json.notes) this.write(`Notes: ${json.notes}\n`);
+    if (usage && usage.calls) this.write(`${DIM}🪙 ${formatUsage(usage)}${RESET}\n`);
+  }
+}